@@ -21,29 +21,324 @@ const tail = {
         // Default options
         const defaultOptions = {
             multiTags: false,
+            multiTagsInline: false,
             multiCounter: true,
+            multiLimit: Infinity,
+            searchConfig: ['text'], // text|value|description|keywords|optgroup
+            searchFuzzy: true,
+            searchMarked: true,
+            virtualScroll: false,
+            virtualItemHeight: 32,
             toolbar: true,
             ajaxUrl: null,
+            ajaxDelay: 250,
+            ajaxMinLength: 1,
+            ajaxCache: 20, // number of cached queries, 0 to disable
+            ajaxMethod: 'GET',
+            ajaxHeaders: {}, // object or function(query)
+            ajaxParams: {}, // object or function(query), sent along with the query
+            ajaxQueryParam: 'term',
+            ajaxRequest: null, // function(query, request), returns the request to send
+            ajaxResults: null, // function(response, query), returns the result items
+            ajaxPageParam: 'page',
+            ajaxMore: null, // function(response, page), whether there are more pages
+            ajaxLoadOnOpen: false, // load the first page when opened without a query
+            ajaxSelectedParam: null, // sends the values selected on init, to fetch their labels
+            createOptions: false, // create options from the search text
+            createFilter: null, // function(text), returns the label, an {id, text} item or false; can be async
+            createUrl: null, // POST endpoint creating the option, returns the {id, text} item
+            observe: true, // follow changes other scripts make to the original select
+            readonly: false, // show the selection without allowing changes
+            clearable: false, // single selects: show a button resetting the selection
+            optgroupSelect: true, // multiple selects: check all options of a group from its header
+            optgroupCollapse: true, // collapse groups from their header
+            optgroupCounter: true, // show the selected and total options of a group, such as "2/7"
+            tree: false, // nest the options by their data-parent value
+            treeValue: 'leaves', // leaves|all, the checked tree nodes the select submits
+            renderOption: null, // function(data, option), returns a node or an HTML string
+            renderGroup: null, // function(data, optgroup), returns a node or an HTML string
+            renderTag: null, // function(data, option), returns a node or an HTML string
+            renderSelection: null, // function(data, option), single selects: returns a node or an HTML string
             theme: 'light', // light|dark
             classNames: 'tail-default',
-            strings: {
-                all: "All",
-                none: "None",
-                placeholder: "Select an option...",
-                search: "Type in to search...",
-            }
+            locale: 'en',
+            strings: {}
         };
 
         // Merge default options with provided options
         const opts = { ...defaultOptions, ...options };
 
         // Extract options
-        const { multiTags, multiCounter, theme, classNames, ajaxUrl, strings } = opts;
+        const { multiTags, multiCounter, theme, classNames, ajaxUrl } = opts;
+        const multiLimit = Number(opts.multiLimit) > 0 ? Number(opts.multiLimit) : Infinity;
+        const searchFields = [].concat(opts.searchConfig || 'text');
+
+        // Resolve the strings: English first, then the locale (or its base language), then the passed strings
+        const locale = String(opts.locale || 'en').replace('-', '_');
+        const registry = tail.select.strings;
+        const strings = {
+            ...registry.en,
+            ...(registry[locale.split('_')[0]] || {}),
+            ...(registry[locale] || {}),
+            ...opts.strings
+        };
+
+        // Translate a string, replacing its :tokens; plural forms can be given as an object or a function
+        const translate = (key, args = {}) => {
+            let value = strings[key];
+            const tokens = {};
+            Object.keys(args).forEach((name) => {
+                tokens[`:${name}`] = args[name];
+            });
+
+            if (typeof value === 'function') {
+                value = value(tokens);
+            } else if (value && typeof value === 'object') {
+                const count = 'count' in args ? args.count : args.limit;
+                let form = 'other';
+                try {
+                    form = new Intl.PluralRules(locale.replace('_', '-')).select(count);
+                } catch (error) {
+                    // Unknown locale tags fall back to the "other" form
+                }
+                value = form in value ? value[form] : value.other;
+            }
+
+            return Object.keys(tokens).reduce(
+                (text, token) => text.split(token).join(tokens[token]),
+                String(value == null ? key : value)
+            );
+        };
+
+        // Lowercase a text and strip its diacritics, keeping the original index of every character
+        const normalizeSearchText = (text) => {
+            let normalized = '';
+            const map = [];
+            for (let i = 0; i < text.length; i++) {
+                const folded = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+                for (let j = 0; j < folded.length; j++) {
+                    normalized += folded[j];
+                    map.push(i);
+                }
+            }
+            return { text: normalized, map };
+        };
+
+        const wordSeparator = /[\s\-_.,;:!?/()[\]'"]/;
+
+        // Match the characters of a query against the starts of consecutive words ("nyc", "ne yo ci")
+        const matchWordPrefixes = (words, query, wordIndex = 0, failed = new Set()) => {
+            if (query === '') {
+                return [];
+            }
+            if (failed.has(`${wordIndex}:${query.length}`)) {
+                return null;
+            }
+
+            for (let w = wordIndex; w < words.length; w++) {
+                const { start, word } = words[w];
+                for (let length = Math.min(word.length, query.length); length > 0; length--) {
+                    if (word.slice(0, length) !== query.slice(0, length)) {
+                        continue;
+                    }
+                    const rest = matchWordPrefixes(words, query.slice(length), w + 1, failed);
+                    if (rest) {
+                        return Array.from({ length }, (_, i) => start + i).concat(rest);
+                    }
+                }
+            }
+
+            failed.add(`${wordIndex}:${query.length}`);
+            return null;
+        };
+
+        // Score a text (or its cached normalizeSearchText() result) against a normalized query;
+        // returns the score and the matched ranges of the original text
+        const matchText = (text, query) => {
+            const { text: haystack, map } = typeof text === 'string' ? normalizeSearchText(text) : text;
+
+            const toRanges = (indexes) => {
+                const ranges = [];
+                indexes.forEach((index) => {
+                    const start = map[index];
+                    const last = ranges[ranges.length - 1];
+                    if (last && start <= last[1]) {
+                        last[1] = Math.max(last[1], start + 1);
+                    } else {
+                        ranges.push([start, start + 1]);
+                    }
+                });
+                return ranges;
+            };
+            const span = (start, length) => Array.from({ length }, (_, i) => start + i);
+
+            // Substring: a match at the start of the text or of a word ranks higher
+            const index = haystack.indexOf(query);
+            if (index !== -1) {
+                const tier = index === 0 ? 5 : wordSeparator.test(haystack[index - 1]) ? 4 : 3;
+                return { score: tier * 1000 - Math.min(index, 999), ranges: toRanges(span(index, query.length)) };
+            }
+
+            // Word prefixes, e.g. "nyc" for "New York City"
+            const words = [];
+            haystack.replace(/[^\s\-_.,;:!?/()[\]'"]+/g, (word, start) => {
+                words.push({ word, start });
+                return word;
+            });
+            const compact = query.replace(/\s+/g, '');
+            const prefixes = compact ? matchWordPrefixes(words, compact) : null;
+            if (prefixes) {
+                return { score: 2000 - Math.min(prefixes[0], 999), ranges: toRanges(prefixes) };
+            }
+
+            // Fuzzy: every character in order, the closer together the better
+            if (opts.searchFuzzy && compact.length > 1) {
+                const indexes = [];
+                let from = 0;
+                for (const char of compact) {
+                    const found = haystack.indexOf(char, from);
+                    if (found === -1) {
+                        return null;
+                    }
+                    indexes.push(found);
+                    from = found + 1;
+                }
+                const spread = indexes[indexes.length - 1] - indexes[0];
+                return { score: 1000 - Math.min(spread, 999), ranges: toRanges(indexes) };
+            }
+
+            return null;
+        };
+
+        // Options can be given as a value or as a function returning it
+        const resolveOption = (value, ...args) => (typeof value === 'function' ? value(...args) : value);
+
+        // Bring a result item into one shape; items with children become optgroups
+        const normalizeItem = (item) => {
+            const value = item.id != null ? item.id : item.value;
+            const text = item.text != null ? item.text : item.label;
+            return {
+                value: String(value != null ? value : text),
+                text: String(text != null ? text : value),
+                disabled: !!item.disabled,
+                description: item.description ? String(item.description) : '',
+                parent: item.parent != null ? String(item.parent) : null,
+                children: Array.isArray(item.children) ? item.children.map(normalizeItem) : null,
+                image: item.image ? String(item.image) : '',
+                icon: item.icon ? String(item.icon) : '',
+                color: item.color ? String(item.color) : '',
+                badge: item.badge != null ? String(item.badge) : '',
+                source: item // the templates can use its other fields
+            };
+        };
+
+        // Serialize request parameters, repeating the name for array values
+        const toSearchParams = (params) => {
+            const searchParams = new URLSearchParams();
+            Object.keys(params || {}).forEach((name) => {
+                [].concat(params[name]).forEach((value) => {
+                    if (value != null) {
+                        searchParams.append(name, value);
+                    }
+                });
+            });
+            return searchParams;
+        };
 
         //
         const originalSelects = document.querySelectorAll(selector);
+        const selectInstances = [];
 
         originalSelects.forEach((originalSelect) => {
+            // Reuse the widget already attached to this select
+            const existingInstance = tail.select.instances.get(originalSelect);
+            if (existingInstance) {
+                selectInstances.push(existingInstance);
+                return;
+            }
+
+            // Remember the initial state, so destroy() can restore it
+            const originalDisplay = originalSelect.style.display;
+            const originalDisabled = originalSelect.disabled;
+            let readonly = !!opts.readonly || originalSelect.hasAttribute("readonly");
+            const initialSelection = new Map(
+                Array.from(originalSelect.options).map((opt) => [opt, opt.selected])
+            );
+
+            // AJAX requests still in flight
+            const pendingRequests = new Set();
+
+            // Virtual scrolling: the options are kept as rows and only the ones in view are rendered
+            const virtual = opts.virtualScroll && !opts.tree ? {
+                rows: [],
+                visibleRows: [],
+                rowIndex: new Map(),
+                matches: new Map(),
+                searchTerm: "",
+                rendered: new Map(),
+                elementRows: new WeakMap(),
+                rowHeight: Number(opts.virtualItemHeight) || 32,
+                optionCount: 0,
+                sizer: null,
+                frame: 0,
+            } : null;
+
+            // Tree mode: the options nest through their data-parent value instead of optgroups
+            const tree = opts.tree ? {
+                roots: [],
+                parents: new Map(),
+                children: new Map(),
+                states: new Map(), // "checked", "mixed" or "unchecked" per option
+                collapsed: new Set(), // values of the collapsed nodes
+            } : null;
+
+            // Observing the original select: the observer, the options with watched properties, and the
+            // depth of the widget's own selection changes, which must not be synced back
+            let observer = null;
+            const watchedOptions = new WeakSet();
+            let ownChanges = 0;
+            let dispatchingChange = false;
+            let syncQueued = false;
+
+            // Form integration: the state classes only show once the user changed the selection or
+            // the form was submitted
+            const form = originalSelect.form;
+            let validityShown = false;
+            let resetTimer = null;
+
+            // The <option> behind every rendered checkbox and tag; labels and values needn't be unique
+            const checkboxOptions = new WeakMap();
+            const tagOptions = new WeakMap();
+
+            // The AJAX item an option or optgroup was created from
+            const itemSources = new WeakMap();
+
+            // Search data and creation order of the option items
+            const itemSearchData = new WeakMap();
+            let itemCounter = 0;
+
+            // Unique prefix for the ids the ARIA attributes point to
+            const widgetId = `tail-select-${++tail.select.uid}`;
+            let optionIdCounter = 0;
+            let groupIdCounter = 0;
+
+            // The optgroup of a rendered group header, and the labels of the collapsed groups
+            const groupOptgroups = new WeakMap();
+            const collapsedGroups = new Set();
+            let currentSearchTerm = "";
+            let announceTimer = null;
+
+            // Keyboard navigation state
+            let activeItem = null;
+            let navigating = false;
+            let typeAhead = "";
+            let typeAheadTimer = null;
+            let returningFocus = false;
+
+            // Selection of a single select shown in front of the search input, when it has an image,
+            // icon, color or badge, or a renderSelection template
+            let selectionElement = null;
+
             // Hide original dropdown
             originalSelect.style.display = "none";
 
@@ -59,61 +354,89 @@ const tail = {
             } else {
                 customDropdown.classList.add("tail--single");
             }
+            if (tree) {
+                customDropdown.classList.add("tail--tree");
+            }
 
             // Create search input
             const searchInput = document.createElement("input");
             searchInput.type = "text";
             searchInput.classList.add('tail--search');
-            searchInput.placeholder = strings.placeholder || "Select an option...";
+            searchInput.placeholder = getPlaceholder();
+            searchInput.setAttribute("role", "combobox");
+            searchInput.setAttribute("aria-autocomplete", "list");
+            searchInput.setAttribute("aria-haspopup", tree ? "tree" : "listbox");
+            searchInput.setAttribute("aria-expanded", "false");
+            searchInput.setAttribute("aria-controls", `${widgetId}-listbox`);
+            if (originalSelect.required) {
+                searchInput.setAttribute("aria-required", "true");
+            }
             // Add focus event to change the placeholder
             searchInput.addEventListener("focus", () => {
-                searchInput.placeholder = strings.search || "Type in to search...";
+                searchInput.placeholder = translate("search");
                 searchInput.select();
             });
 
             // Add blur event to revert the placeholder when not focused
             searchInput.addEventListener("blur", () => {
-                searchInput.placeholder = strings.placeholder || "Select an option...";
+                searchInput.placeholder = getPlaceholder();
             });
 
             // Add input event to change the placeholder
-            searchInput.addEventListener("input", () =>
-                filterOptions(originalSelect, searchInput)
-            );
+            searchInput.addEventListener("input", () => {
+                if (nestedList.style.display === "none") {
+                    toggleDropdownVisibility();
+                }
+                filterOptions(originalSelect, searchInput);
+
+                // Typing leaves the list, but keeps the first match (or the new option) ready for Enter
+                const matches = getNavigableItems();
+                navigating = false;
+                updateCreateRow();
+                setActiveItem(searchInput.value.trim() && !createText ? matches[0] : null);
+                announce(translate("results", { count: matches.length }));
+                updateMessage();
+            });
 
             // Create floating toolbar
+            let tailFloatingToolbar = null;
             if (opts.toolbar) {
-                const tailFloatingToolbar = document.createElement("div");
+                tailFloatingToolbar = document.createElement("div");
                 tailFloatingToolbar.classList.add("tail--toolbar");
 
                 // Create toggle-all checkbox
                 const toggleAllCheckbox = document.createElement("input");
                 toggleAllCheckbox.type = "checkbox";
-                toggleAllCheckbox.value = strings.all || "All";
+                toggleAllCheckbox.value = translate("all");
                 toggleAllCheckbox.addEventListener("change", () =>
                     toggleAll(originalSelect, toggleAllCheckbox)
                 );
 
                 const toggleAllLabel = document.createElement("label");
-                toggleAllLabel.textContent = strings.all || "All";
+                toggleAllLabel.textContent = translate("all");
                 toggleAllLabel.classList.add("all");
                 toggleAllLabel.appendChild(toggleAllCheckbox);
 
                 // Create uncheck-all button
                 const uncheckAllButton = document.createElement("button");
                 uncheckAllButton.type = 'button';
-                uncheckAllButton.textContent = strings.none || "None";
+                uncheckAllButton.textContent = translate("none");
                 uncheckAllButton.classList.add("uncheck");
                 uncheckAllButton.addEventListener("click", () =>
                     uncheckAll(originalSelect)
                 );
+
+                tailFloatingToolbar.appendChild(toggleAllLabel);
+                tailFloatingToolbar.appendChild(uncheckAllButton);
             }
 
+            let counter = null;
             if (opts.multiCounter) {
                 // Create counter
-                const counter = document.createElement("span");
-                counter.textContent = "0";
+                counter = document.createElement("span");
+                counter.textContent = translate("counter", { count: 0 });
                 counter.classList.add("tail--counter");
+                counter.setAttribute("aria-hidden", "true");
 
                 customDropdown.appendChild(counter);
             }
@@ -122,16 +445,109 @@ const tail = {
             const nestedList = document.createElement("div");
             nestedList.classList.add("tail--nested-dropdown");
             nestedList.style.display = "none"; // Initially hide the list
+            if (virtual) {
+                nestedList.classList.add("tail--virtual");
+                virtual.sizer = document.createElement("div");
+                virtual.sizer.classList.add("tail--virtual-list");
+                virtual.sizer.setAttribute("role", "none");
+            }
+            nestedList.id = `${widgetId}-listbox`;
+            nestedList.setAttribute("role", tree ? "tree" : "listbox");
+            if (originalSelect.multiple) {
+                nestedList.setAttribute("aria-multiselectable", "true");
+            }
+
+            // Notice shown in the dropdown once the selection limit is reached
+            const limitNotice = document.createElement("p");
+            limitNotice.classList.add("tail--limit-notice");
+            limitNotice.setAttribute("aria-hidden", "true");
+            limitNotice.textContent = translate("limit");
+            limitNotice.style.display = "none";
+
+            // Suggestion row for creating an option from the search text
+            const createRow = document.createElement("div");
+            createRow.classList.add("tail--create");
+            createRow.setAttribute("role", "option");
+            createRow.id = `${widgetId}-create`;
+            createRow.style.display = "none";
+            createRow.addEventListener("click", () => createFromSearch());
+            let createText = "";
+            let creating = false;
+            let createController = null;
+
+            // Message row for the empty, no results, loading and error states
+            const messageRow = document.createElement("p");
+            messageRow.classList.add("tail--message");
+            messageRow.setAttribute("aria-hidden", "true");
+            messageRow.style.display = "none";
+            let messageType = null;
+            let requestState = null; // "minLength", "loading", "loadingMore" or "error" while there are no AJAX results
+
+            // AJAX search state
+            const ajaxCache = new Map();
+            let ajaxTimer = null;
+            let lastQuery = "";
+            let lastPage = 1;
+            let missingCharacters = 0;
+
+            // Pagination: the query and page the options belong to, and whether there are more pages
+            let loadedQuery = null;
+            let currentPage = 1;
+            let hasMore = false;
+
+            // Request for the labels of the values selected on init
+            let resolveController = null;
+
+            // Polite live region for selection and search announcements
+            const liveRegion = document.createElement("div");
+            liveRegion.classList.add("tail--live-region");
+            liveRegion.setAttribute("role", "status");
+            liveRegion.setAttribute("aria-live", "polite");
+            liveRegion.setAttribute("aria-atomic", "true");
+
+            // Label the widget from the <label> of the original select
+            const originalLabel = originalSelect.labels && originalSelect.labels.length > 0
+                ? originalSelect.labels[0]
+                : null;
+            const originalLabelId = originalLabel ? originalLabel.id : "";
+            if (originalLabel) {
+                if (!originalLabel.id) {
+                    originalLabel.id = `${widgetId}-label`;
+                }
+                searchInput.setAttribute("aria-labelledby", originalLabel.id);
+                nestedList.setAttribute("aria-labelledby", originalLabel.id);
+                originalLabel.addEventListener("click", handleLabelClick);
+            } else if (originalSelect.hasAttribute("aria-label")) {
+                searchInput.setAttribute("aria-label", originalSelect.getAttribute("aria-label"));
+                nestedList.setAttribute("aria-label", originalSelect.getAttribute("aria-label"));
+            }
 
             customDropdown.appendChild(searchInput);
 
+            if (!originalSelect.multiple) {
+                selectionElement = document.createElement("span");
+                selectionElement.classList.add("tail--selection");
+                selectionElement.hidden = true;
+                customDropdown.insertBefore(selectionElement, searchInput);
+            }
+
+            // Button resetting a single select to its empty option
+            let clearButton = null;
+            if (!originalSelect.multiple && opts.clearable) {
+                clearButton = document.createElement("button");
+                clearButton.type = "button";
+                clearButton.classList.add("tail--clear");
+                clearButton.textContent = "×";
+                clearButton.setAttribute("aria-label", translate("clear"));
+                clearButton.addEventListener("click", clearSelection);
+                customDropdown.appendChild(clearButton);
+            }
+
             if (opts.toolbar) {
-                document.querySelectorAll(`${originalSelect.id}`).classList.add('new-class');
                 customDropdown.appendChild(tailFloatingToolbar);
-                tailFloatingToolbar.appendChild(toggleAllLabel);
-                tailFloatingToolbar.appendChild(uncheckAllButton);
             }
             customDropdown.appendChild(nestedList);
+            customDropdown.appendChild(liveRegion);
 
 
             // Insert custom dropdown after the original select
@@ -143,11 +559,19 @@ const tail = {
 
             if (opts.multiTags) {
                 if (originalSelect.multiple) {
-                    // Insert selectedOptionsList as the next sibling of customDropdown
-                    customDropdown.insertAdjacentElement(
-                        "afterend",
-                        selectedOptionsList
-                    );
+                    if (opts.multiTagsInline) {
+                        // Show the tags inside the control, in front of the search input
+                        customDropdown.classList.add("tail--tags-inline");
+                        customDropdown.insertBefore(selectedOptionsList, searchInput);
+                    } else {
+                        // Insert selectedOptionsList as the next sibling of customDropdown
+                        customDropdown.insertAdjacentElement(
+                            "afterend",
+                            selectedOptionsList
+                        );
+                    }
+
+                    selectedOptionsList.addEventListener("keydown", handleTagKeyDown);
                 }
             }
             //
@@ -155,88 +579,48 @@ const tail = {
             function buildNestedList() {
                 const fragment = document.createDocumentFragment();
 
+                Array.from(originalSelect.options).forEach(watchOption);
+
+                if (virtual) {
+                    buildVirtualRows();
+                    updateCounter(originalSelect);
+                    updateCustomTextInput(originalSelect);
+                    updateLimitState();
+                    updateMessage();
+                    return;
+                }
+
+                if (tree) {
+                    buildTreeLinks();
+                    tree.roots.forEach((option) => appendTreeNode(nestedList, option, 1));
+                    if (isCascading()) {
+                        settleTree(true);
+                    }
+                    updateTreeNodes();
+                    updateTreeLists();
+                    updateCounter(originalSelect);
+                    updateCustomTextInput(originalSelect);
+                    updateLimitState();
+                    updateMessage();
+                    return;
+                }
+
                 const optgroups = originalSelect.getElementsByTagName(
                     "optgroup"
                 );
 
                 if (optgroups.length > 0) {
                     for (let i = 0; i < optgroups.length; i++) {
-                        const optgroup = optgroups[i];
-                        const optgroupItem = document.createElement("div");
-                        optgroupItem.classList.add("tail--optgroup");
-
-                        // Create label for optgroup
-                        const optgroupLabel = document.createElement("label");
-
-                        // Create checkbox for optgroup
-                        const optgroupCheckbox = document.createElement(
-                            "input"
-                        );
-                        optgroupCheckbox.type = "checkbox";
-                        optgroupCheckbox.value = optgroup.label;
-                        optgroupCheckbox.addEventListener("change", () =>
-                            toggleOptgroup(optgroupCheckbox)
-                        );
-                        optgroupLabel.appendChild(optgroupCheckbox);
-
-                        // Label text for optgroup
-                        const optgroupLabelText = document.createElement(
-                            "span"
-                        );
-                        optgroupLabelText.textContent = optgroup.label;
-                        optgroupLabelText.classList.add("tail--optgroup-label");
-                        optgroupLabel.appendChild(optgroupLabelText);
-
-                        optgroupItem.appendChild(optgroupLabel);
-
-                        // Nested options list
-                        const nestedOptionsList = document.createElement("div");
-
-                        // Add ARIA attributes to the nested options list
-                        nestedOptionsList.setAttribute("role", "listbox");
-                        nestedOptionsList.classList.add("tail--nested-dropdown-list");
-                        const options = optgroup.getElementsByTagName("option");
+                        const optgroupItem = createOptgroupItem(optgroups[i]);
+                        const nestedOptionsList = optgroupItem.querySelector(".tail--nested-dropdown-list");
+                        const options = optgroups[i].getElementsByTagName("option");
 
                         for (let j = 0; j < options.length; j++) {
-                            const option = options[j];
-                            const optionItem = document.createElement("div");
-                            optionItem.classList.add("tail--nested-dropdown-item");
-
-                            // Create checkbox for option
-                            const optionCheckbox = document.createElement(
-                                "input"
-                            );
-                            optionCheckbox.type = "checkbox";
-                            optionCheckbox.value = option.textContent;
-
-                            // Create label for option
-                            const optionLabel = document.createElement("label");
-
-                            // Label for option text
-                            const optionLabelText = document.createElement(
-                                "span"
+                            nestedOptionsList.appendChild(
+                                createOptionItem(options[j])
                             );
-                            optionLabelText.textContent = option.textContent;
-
-                            // Option description
-                            if (option.dataset.description) {
-                                optionLabelText.innerHTML += `<small>${option.dataset.description}</small>`;
-                            }
-
-                            // Check it
-                            if (option.selected && option.hasAttribute('selected')) {
-                                optionCheckbox.checked = true;
-                                updateCounter(originalSelect);
-                                updateCustomTextInput(originalSelect);
-                            }
-
-                            optionLabel.appendChild(optionCheckbox);
-                            optionLabel.appendChild(optionLabelText);
-                            optionItem.appendChild(optionLabel);
-                            nestedOptionsList.appendChild(optionItem);
                         }
 
-                        optgroupItem.appendChild(nestedOptionsList);
                         nestedList.appendChild(optgroupItem);
                     }
                 } else {
@@ -245,74 +629,76 @@ const tail = {
                     );
 
                     for (let j = 0; j < options.length; j++) {
-                        const option = options[j];
-                        const optionItem = document.createElement("div");
-                        optionItem.classList.add("tail--nested-dropdown-item");
-
-                        // Create checkbox for option
-                        const optionCheckbox = document.createElement("input");
-                        optionCheckbox.type = "checkbox";
-                        optionCheckbox.value = option.textContent;
-
-                        // Create label for option
-                        const optionLabel = document.createElement("label");
-
-                        // Label for option text
-                        const optionLabelText = document.createElement("span");
-                        optionLabelText.textContent = option.textContent;
-
-                        // Option description
-                        if (option.dataset.description) {
-                            optionLabelText.innerHTML += `<small>${option.dataset.description}</small>`;
-                        }
-
-                        // Check it
-                        if (option.selected && option.hasAttribute('selected')) {
-                            optionCheckbox.checked = true;
-                            updateCounter(originalSelect);
-                            updateCustomTextInput(originalSelect);
-                        }
-
-                        optionLabel.appendChild(optionCheckbox);
-                        optionLabel.appendChild(optionLabelText);
-
-                        optionItem.appendChild(optionLabel);
-
-                        nestedList.appendChild(optionItem);
+                        nestedList.appendChild(
+                            createOptionItem(options[j])
+                        );
                     }
                 }
 
-                // Add ARIA attributes to the custom dropdown container
-                customDropdown.setAttribute("role", "combobox");
-                customDropdown.setAttribute("aria-haspopup", "true");
-                customDropdown.setAttribute("aria-expanded", "false");
-
-                attachOptionCheckboxListeners();
+                // Show the preselected options
+                updateCounter(originalSelect);
+                updateCustomTextInput(originalSelect);
 
                 // Append the fragment to the DOM once all changes are made
                 nestedList.appendChild(fragment);
+
+                updateLimitState();
+                updateMessage();
             }
 
+            // (De)select the options matching the current search, or all options without one
             function toggleAll(originalSelect, toggleAllCheckbox) {
                 const isChecked = toggleAllCheckbox.checked;
+
+                if (virtual) {
+                    setRowsSelected(
+                        virtual.rows.filter((row) => row.option && (!virtual.searchTerm || virtual.matches.has(row))),
+                        isChecked
+                    );
+                    return;
+                }
+
                 const optionCheckboxes = nestedList.querySelectorAll(
-                    'input[type="checkbox"]'
+                    '.tail--nested-dropdown-item input[type="checkbox"]'
                 );
 
                 optionCheckboxes.forEach((checkbox) => {
+                    const item = checkbox.closest(".tail--nested-dropdown-item");
+
+                    // Skip the options the search hides or only shows as selected
+                    if (currentSearchTerm && !matchOptionItem(item, currentSearchTerm)) {
+                        return;
+                    }
+
+                    // Skip the disabled options, and stop adding options once the selection limit is reached
+                    if (isItemDisabled(item) || (isChecked && !checkbox.checked && isLimitReached())) {
+                        return;
+                    }
+
                     checkbox.checked = isChecked;
                     updateOriginalOptionState(originalSelect, checkbox);
                 });
             }
 
             function uncheckAll(originalSelect) {
+                if (virtual) {
+                    setRowsSelected(virtual.rows, false);
+                    return;
+                }
+
                 const optionCheckboxes = nestedList.querySelectorAll(
                     'input[type="checkbox"]'
                 );
 
                 optionCheckboxes.forEach((checkbox) => {
+                    const item = checkbox.closest(".tail--nested-dropdown-item");
+                    if (item && isItemDisabled(item)) {
+                        return;
+                    }
                     checkbox.checked = false;
-                    updateOriginalOptionState(originalSelect, checkbox);
+                    if (item) {
+                        updateOriginalOptionState(originalSelect, checkbox);
+                    }
                 });
 
                 // Uncheck the original <select> options
@@ -320,12 +706,20 @@ const tail = {
                     "option"
                 );
                 for (let i = 0; i < originalOptions.length; i++) {
-                    originalOptions[i].selected = false;
+                    if (!isOptionDisabled(originalOptions[i])) {
+                        setOptionSelected(originalOptions[i], false);
+                    }
                 }
             }
 
             function toggleOption(checkbox) {
                 if (originalSelect.multiple) {
+                    // Reject selections past the limit
+                    if (checkbox.checked && !isOptionSelected(checkbox) && (isLimitReached() || exceedsTreeLimit(checkbox))) {
+                        checkbox.checked = false;
+                        announce(translate("limit"));
+                        return;
+                    }
                     updateOriginalOptionState(originalSelect, checkbox);
                 } else {
                     // For single-select, uncheck all and check the current one
@@ -335,7 +729,42 @@ const tail = {
                     optionCheckboxes.forEach((cb) => (cb.checked = false));
                     checkbox.checked = true;
                     updateOriginalOptionState(originalSelect, checkbox);
+                    closeAfterChoice();
+                }
+            }
+
+            // A single select is done once a value is chosen; the focus goes back to the search input
+            function closeAfterChoice() {
+                hideDropdown();
+                if (document.activeElement !== searchInput) {
+                    returningFocus = true;
+                    searchInput.focus();
+                    returningFocus = false;
+                }
+            }
+
+            // There is nothing to clear while the empty option (or no option) is selected
+            function updateClearButton() {
+                if (clearButton) {
+                    clearButton.hidden = originalSelect.value === "";
+                }
+            }
+
+            // Reset a single select to its empty (placeholder) option, or to no selection without one
+            function clearSelection() {
+                if (isLocked()) {
+                    return;
+                }
+                const emptyOption = Array.from(originalSelect.options).find((option) => option.value === "");
+                if (emptyOption) {
+                    setOptionSelected(emptyOption, true);
+                } else {
+                    ownChanges++;
+                    originalSelect.selectedIndex = -1;
+                    ownChanges--;
                 }
+                applySelectionChange();
+                closeAfterChoice();
             }
 
             function toggleOptgroup(optgroupCheckbox) {
@@ -348,190 +777,1256 @@ const tail = {
                 );
 
                 optionCheckboxes.forEach((checkbox) => {
+                    if (isItemDisabled(checkbox.closest(".tail--nested-dropdown-item"))) {
+                        return;
+                    }
                     checkbox.checked = isChecked;
                     toggleOption(checkbox); // Call toggleOption for individual options
                 });
 
-                if (!originalSelect.multiple) {
-                    // For single-select, uncheck all other checkboxes in the same optgroup
-                    const customDropdown = originalSelect.closest(
-                        ".tail-select"
-                    );
-                    if (customDropdown) {
-                        const otherOptgroupCheckboxes = customDropdown.querySelectorAll(
-                            '.tail--nested-dropdown-item input[type="checkbox"]'
-                        );
+                updateOriginalOptionState(originalSelect, optgroupCheckbox);
+            }
 
-                        otherOptgroupCheckboxes.forEach((cb) => {
-                            if (cb !== optgroupCheckbox) {
-                                cb.checked = false;
-                                updateOriginalOptionState(originalSelect, cb);
-                            }
-                        });
-                    }
+            // Check the group checkbox when all its options are selected, and show it indeterminate
+            // when only some are; the counter shows the selected options out of all options
+            function updateOptgroupHeader(optgroupItem) {
+                const optgroup = groupOptgroups.get(optgroupItem);
+                if (!optgroup) {
+                    return;
+                }
+                const options = Array.from(optgroup.getElementsByTagName("option"));
+                const selected = options.filter((option) => option.selected).length;
+
+                const checkbox = optgroupItem.querySelector(':scope > label input[type="checkbox"]');
+                if (checkbox) {
+                    const enabled = options.filter((option) => !isOptionDisabled(option));
+                    checkbox.checked = enabled.length > 0 && enabled.every((option) => option.selected);
+                    checkbox.indeterminate = selected > 0 && !checkbox.checked;
                 }
 
-                updateOriginalOptionState(originalSelect, optgroupCheckbox);
+                const counter = optgroupItem.querySelector(".tail--optgroup-counter");
+                if (counter) {
+                    counter.textContent = translate("optgroupCounter", { count: selected, total: options.length });
+                }
             }
 
-            function attachOptionCheckboxListeners() {
-                const optionCheckboxes = nestedList.querySelectorAll(
-                    '.tail--nested-dropdown-item input[type="checkbox"]'
-                );
-
-                optionCheckboxes.forEach((checkbox) => {
-                    checkbox.addEventListener("change", () =>
-                        toggleOption(checkbox)
-                    );
-                });
+            function updateOptgroupHeaders() {
+                nestedList.querySelectorAll(".tail--optgroup").forEach(updateOptgroupHeader);
             }
 
-            function updateOriginalOptionState(
-                originalSelect,
-                checkbox,
-                customDropdown
-            ) {
-                const optionValue = checkbox.value;
-                const option = Array.from(originalSelect.options).find(
-                    (opt) =>
-                        opt.value === optionValue ||
-                        opt.textContent === optionValue
-                );
+            // Searching shows the matches of collapsed groups as well
+            function isOptgroupCollapsed(optgroup) {
+                return opts.optgroupCollapse && !currentSearchTerm && collapsedGroups.has(optgroup.label);
+            }
 
-                if (option) {
-                    option.selected = checkbox.checked
+            function updateOptgroupCollapsed(optgroupItem) {
+                const optgroup = groupOptgroups.get(optgroupItem);
+                const collapsed = !!optgroup && isOptgroupCollapsed(optgroup);
+                optgroupItem.classList.toggle("tail--optgroup-collapsed", collapsed);
 
-                    // Trigger change event for the original select
-                    const event = new Event("change", { bubbles: true });
-                    originalSelect.dispatchEvent(event);
+                const toggle = optgroupItem.querySelector(".tail--optgroup-toggle");
+                if (toggle) {
+                    toggle.setAttribute("aria-expanded", collapsed ? "false" : "true");
                 }
+                const nestedOptionsList = optgroupItem.querySelector(".tail--nested-dropdown-list");
+                if (nestedOptionsList) {
+                    nestedOptionsList.style.display = collapsed ? "none" : "";
+                }
+            }
 
-                // Get all selected options
-                const selectedOptions = Array.from(
-                    originalSelect.options
-                ).filter((opt) => opt.selected);
+            // Collapse or expand a group; the state is kept by label, so it survives rebuilds
+            function toggleOptgroupCollapsed(optgroup) {
+                if (collapsedGroups.has(optgroup.label)) {
+                    collapsedGroups.delete(optgroup.label);
+                } else {
+                    collapsedGroups.add(optgroup.label);
+                }
 
-                // Update the search input value with the selected option text
-                if (!originalSelect.multiple) {
-                    if (selectedOptions.length > 0 && searchInput) {
-                        searchInput.value = selectedOptions[0].textContent;
-                    } else {
-                        searchInput.value = ""; // Clear the search input if no option is selected
-                    }
+                if (virtual) {
+                    const scrollTop = nestedList.scrollTop;
+                    filterVirtualRows(virtual.searchTerm);
+                    nestedList.scrollTop = scrollTop;
+                    renderVirtualRows();
                 } else {
-                    // Update searchInput value with selected options
-                    searchInput.value = selectedOptions
-                        .map((opt) => opt.textContent)
-                        .join(", ");
+                    nestedList.querySelectorAll(".tail--optgroup").forEach(updateOptgroupCollapsed);
                 }
 
-                if (opts.multiTags) {
-                    if (originalSelect.multiple) {
-                        // Update the selected options list
-                        updateSelectedOptionsList(
-                            selectedOptionsList,
-                            selectedOptions
-                        );
-                    }
+                if (activeItem && !getNavigableItems().includes(activeItem)) {
+                    setActiveItem(null);
                 }
+            }
 
-                // Convert selected options to an array of values
-                const selectedValues = selectedOptions.map((opt) => opt.value);
-                // Log the selected values to the console
-                // console.log(selectedValues);
+            // Add the counter and the collapse button to a group header
+            function addOptgroupControls(optgroupItem, optgroupLabel, optgroup) {
+                groupOptgroups.set(optgroupItem, optgroup);
 
-                var options = originalSelect.options,
-                    count = 0;
-                for (var i = 0; i < options.length; i++) {
-                    if (options[i].selected) count++;
+                if (opts.optgroupCounter) {
+                    const counter = document.createElement("span");
+                    counter.classList.add("tail--optgroup-counter");
+                    optgroupLabel.appendChild(counter);
                 }
 
-                if (opts.multiCounter) {
-                    // Update the counter element
-                    updateCounter(originalSelect);
+                if (opts.optgroupCollapse) {
+                    const toggle = document.createElement("button");
+                    toggle.type = "button";
+                    toggle.classList.add("tail--optgroup-toggle");
+                    toggle.tabIndex = -1;
+                    toggle.setAttribute("aria-label", optgroup.label);
+                    toggle.addEventListener("click", () => toggleOptgroupCollapsed(optgroup));
+                    optgroupItem.appendChild(toggle);
                 }
+
+                updateOptgroupHeader(optgroupItem);
+                updateOptgroupCollapsed(optgroupItem);
             }
 
-            function filterOptions(originalSelect, searchInput) {
-                const searchTerm = searchInput.value.trim().toLowerCase();
-                const optionItems = nestedList.querySelectorAll("div");
+            // Single selects choose one option, so their group headers are only labels
+            function hasOptgroupCheckbox() {
+                return originalSelect.multiple && opts.optgroupSelect;
+            }
 
-                optionItems.forEach((optionItem) => {
-                    const optionCheckbox = optionItem.querySelector('input[type="checkbox"]');
-                    const optionText = optionCheckbox.nextElementSibling.textContent.toLowerCase();
-                    const isMatch = optionText.includes(searchTerm);
-                    const isChecked = optionCheckbox.checked;
+            // Checking a tree node checks its descendants in multiple selects
+            function isCascading() {
+                return !!tree && originalSelect.multiple;
+            }
 
-                    if (isChecked || isMatch) {
-                        optionItem.style.display = "";
-                    } else {
-                        optionItem.style.display = "none";
+            // Link the options to the option their data-parent value names; unknown parents and
+            // cycles leave an option at the root
+            function buildTreeLinks() {
+                const options = Array.from(originalSelect.options);
+                const byValue = new Map(options.map((option) => [option.value, option]));
+                const getParent = (option) => option.dataset.parent != null ? byValue.get(option.dataset.parent) || null : null;
+
+                tree.roots = [];
+                tree.parents = new Map();
+                tree.children = new Map();
+
+                options.forEach((option) => {
+                    let parent = getParent(option);
+                    const seen = new Set([option]);
+                    for (let node = parent; node; node = getParent(node)) {
+                        if (seen.has(node)) {
+                            parent = null;
+                            break;
+                        }
+                        seen.add(node);
+                    }
+
+                    if (!parent) {
+                        tree.roots.push(option);
+                        return;
+                    }
+                    tree.parents.set(option, parent);
+                    if (!tree.children.has(parent)) {
+                        tree.children.set(parent, []);
                     }
+                    tree.children.get(parent).push(option);
                 });
+            }
 
-                optionItems.forEach((optionItem) => {
-                    const optionCheckbox = optionItem.querySelector(
-                        'input[type="checkbox"]'
-                    );
-                    const optgroupItem = optionItem.closest("div");
+            // Render a node, followed by the list of its children
+            function appendTreeNode(list, option, level) {
+                const optionItem = createOptionItem(option);
+                optionItem.setAttribute("role", "treeitem");
+                optionItem.setAttribute("aria-level", level);
+                list.appendChild(optionItem);
 
-                    // Check if there are visible checkboxes within the nested list
-                    const nestedCheckboxes = optionItem.querySelectorAll(
-                        'div input[type="checkbox"]:not([style="display: none;"])'
-                    );
-                    const hasVisibleNestedCheckboxes =
-                        nestedCheckboxes.length > 0;
+                const children = tree.children.get(option);
+                if (!children) {
+                    return;
+                }
 
-                    // Show the parent li only if the checkbox or a visible nested checkbox is present
-                    optgroupItem.style.display =
-                        optionCheckbox.style.display === "inline-block" ||
-                            hasVisibleNestedCheckboxes
-                            ? "block"
-                            : "none";
-                });
+                optionItem.classList.add("tail--tree-parent");
+                const toggle = document.createElement("button");
+                toggle.type = "button";
+                toggle.classList.add("tail--tree-toggle");
+                toggle.tabIndex = -1;
+                toggle.setAttribute("aria-hidden", "true");
+                toggle.addEventListener("click", () => setTreeCollapsed(option, !tree.collapsed.has(option.value)));
+                optionItem.prepend(toggle);
+
+                const childList = document.createElement("div");
+                childList.classList.add("tail--nested-dropdown-list");
+                childList.setAttribute("role", "group");
+                list.appendChild(childList);
+                children.forEach((child) => appendTreeNode(childList, child, level + 1));
             }
 
-            function updateSelectedOptionsList(
-                selectedOptionsList,
-                selectedOptions
-            ) {
-                // Clear existing list items
-                selectedOptionsList.innerHTML = "";
+            function getTreeDescendants(option) {
+                const descendants = [];
+                (tree.children.get(option) || []).forEach((child) => {
+                    descendants.push(child, ...getTreeDescendants(child));
+                });
+                return descendants;
+            }
 
-                // Create list items for each selected option
-                selectedOptions.forEach((opt) => {
-                    const listItem = document.createElement("li");
-                    listItem.textContent = opt.textContent;
-                    selectedOptionsList.appendChild(listItem);
+            // Check or uncheck a node together with its descendants
+            function setTreeSelected(option, selected) {
+                setOptionSelected(option, selected);
+                getTreeDescendants(option).forEach((node) => {
+                    if (!isOptionDisabled(node)) {
+                        setOptionSelected(node, selected);
+                    }
                 });
+                settleTree(false);
             }
 
-            function updateCustomTextInput(originalSelect) {
-                // Get all selected options
-                const selectedOptions = Array.from(originalSelect.options).filter((opt) => {
-                    // Check if the option is selected and has the 'selected' attribute
-                    return opt.selected && opt.hasAttribute('selected');
+            // Options checking a node would add to the selection, to keep within the selection limit
+            function exceedsTreeLimit(checkbox) {
+                const option = findOriginalOption(checkbox);
+                if (!isCascading() || !option || multiLimit === Infinity) {
+                    return false;
+                }
+                const added = [option, ...getTreeDescendants(option)].filter((node) => {
+                    const counted = opts.treeValue === "all" || !tree.children.has(node);
+                    return counted && !node.selected && (node === option || !isOptionDisabled(node));
                 });
+                return getSelectedCount() + added.length > multiLimit;
+            }
 
+            // Derive the state of the parents from their children: checked when all enabled children
+            // are, mixed when some are. Parents are only selected themselves with treeValue "all";
+            // expanding also checks the descendants of the selected parents
+            function settleTree(expand) {
+                tree.states = new Map();
+                tree.roots.forEach((option) => settleTreeNode(option, expand));
+            }
 
-                // Update the search input value with the selected option text
-                if (!originalSelect.multiple) {
-                    if (selectedOptions.length > 0 && searchInput) {
-                        searchInput.value = selectedOptions[0].textContent;
-                    } else {
-                        searchInput.value = ""; // Clear the search input if no option is selected
-                    }
-                } else {
-                    // Update searchInput value with selected options
-                    searchInput.value = selectedOptions
-                        .map((opt) => opt.textContent)
-                        .join(", ");
+            function settleTreeNode(option, expand) {
+                const children = tree.children.get(option);
+                if (!children) {
+                    const state = option.selected ? "checked" : "unchecked";
+                    tree.states.set(option, state);
+                    return state;
                 }
 
-                if (opts.multiTags) {
-                    if (originalSelect.multiple) {
-                        // Update the selected options list
-                        updateSelectedOptionsList(
+                if (expand && option.selected) {
+                    children.forEach((child) => {
+                        if (!isOptionDisabled(child)) {
+                            setOptionSelected(child, true);
+                        }
+                    });
+                }
+                const states = children.map((child) => settleTreeNode(child, expand));
+                const enabled = children.filter((child) => !isOptionDisabled(child));
+
+                let state = "unchecked";
+                if ((enabled.length > 0 ? enabled : children).every((child) => tree.states.get(child) === "checked")) {
+                    state = "checked";
+                } else if (states.some((childState) => childState !== "unchecked")) {
+                    state = "mixed";
+                }
+
+                setOptionSelected(option, state === "checked" && opts.treeValue === "all");
+                tree.states.set(option, state);
+                return state;
+            }
+
+            // Show the cascaded selection, and the settled state on the checkboxes of the parents
+            function updateTreeNodes() {
+                if (!isCascading()) {
+                    return;
+                }
+                syncCheckboxes();
+                nestedList.querySelectorAll(".tail--tree-parent").forEach((optionItem) => {
+                    const checkbox = optionItem.querySelector('input[type="checkbox"]');
+                    const state = tree.states.get(findOriginalOption(checkbox));
+                    checkbox.checked = state === "checked";
+                    checkbox.indeterminate = state === "mixed";
+                });
+            }
+
+            // Collapsed nodes hide their children, unless a search is showing its matches
+            function updateTreeLists() {
+                nestedList.querySelectorAll(".tail--tree-parent").forEach((optionItem) => {
+                    const option = findOriginalOption(optionItem.querySelector('input[type="checkbox"]'));
+                    const collapsed = !currentSearchTerm && !!option && tree.collapsed.has(option.value);
+                    optionItem.setAttribute("aria-expanded", collapsed ? "false" : "true");
+                    optionItem.nextElementSibling.style.display = collapsed ? "none" : "";
+                });
+            }
+
+            // The collapsed nodes are kept by value, so they survive rebuilds
+            function setTreeCollapsed(option, collapsed) {
+                if (collapsed) {
+                    tree.collapsed.add(option.value);
+                } else {
+                    tree.collapsed.delete(option.value);
+                }
+                updateTreeLists();
+
+                if (activeItem && !getNavigableItems().includes(activeItem)) {
+                    setActiveItem(null);
+                }
+            }
+
+            // Show the parents of the options a search shows
+            function revealTreeAncestors(optionItems) {
+                optionItems.forEach((optionItem) => {
+                    if (optionItem.style.display === "none") {
+                        return;
+                    }
+                    for (let list = optionItem.parentElement; list && list !== nestedList; list = list.parentElement) {
+                        if (list.classList.contains("tail--nested-dropdown-list")) {
+                            list.previousElementSibling.style.display = "";
+                        }
+                    }
+                });
+            }
+
+            // Add the AJAX results to the original select, children linked to their parent, and rebuild the tree
+            function updateTreeOptions(items, append = false) {
+                if (!append) {
+                    // Keep the selected options and their ancestors
+                    const kept = new Set();
+                    Array.from(originalSelect.options).forEach((option) => {
+                        for (let node = option.selected ? option : null; node; node = tree.parents.get(node)) {
+                            kept.add(node);
+                        }
+                    });
+                    Array.from(originalSelect.options).forEach((option) => {
+                        if (!kept.has(option)) {
+                            option.remove();
+                        }
+                    });
+                    removeEmptyOptgroups();
+                }
+
+                const existingValues = new Set(Array.from(originalSelect.options).map((option) => option.value));
+                const addItem = (item, parentValue) => {
+                    if (!existingValues.has(item.value)) {
+                        existingValues.add(item.value);
+                        const option = createOption(item);
+                        if (parentValue != null) {
+                            option.dataset.parent = parentValue;
+                        }
+                        originalSelect.appendChild(option);
+                    }
+                    (item.children || []).forEach((child) => addItem(child, item.value));
+                };
+                items.forEach((item) => addItem(item, item.parent));
+
+                // The results belong to the search, which stays in the input
+                const scrollTop = nestedList.scrollTop;
+                refresh(true);
+                nestedList.scrollTop = append ? scrollTop : 0;
+                updateCreateRow();
+                updateMessage();
+            }
+
+            // Expose a rendered option to assistive technology; the checkbox is only visual
+            function setOptionItemAria(optionItem, checkbox) {
+                optionItem.id = `${widgetId}-option-${++optionIdCounter}`;
+                optionItem.setAttribute("role", "option");
+                optionItem.setAttribute("aria-selected", checkbox.checked ? "true" : "false");
+                checkbox.tabIndex = -1;
+                checkbox.setAttribute("aria-hidden", "true");
+            }
+
+            // Create the block of an optgroup, with an empty list for its options
+            function createOptgroupItem(optgroup) {
+                const optgroupItem = document.createElement("div");
+                optgroupItem.classList.add("tail--optgroup");
+                optgroupItem.setAttribute("role", "group");
+                if (optgroup.disabled) {
+                    optgroupItem.classList.add("tail--optgroup-disabled");
+                }
+
+                // Create label for optgroup
+                const optgroupLabel = document.createElement("label");
+                optgroupLabel.setAttribute("role", "presentation");
+
+                // Create checkbox for optgroup
+                if (hasOptgroupCheckbox()) {
+                    const optgroupCheckbox = document.createElement("input");
+                    optgroupCheckbox.type = "checkbox";
+                    optgroupCheckbox.value = optgroup.label;
+                    optgroupCheckbox.disabled = isLocked() || optgroup.disabled;
+                    optgroupCheckbox.tabIndex = -1;
+                    optgroupCheckbox.setAttribute("aria-hidden", "true");
+                    optgroupCheckbox.addEventListener("change", () =>
+                        toggleOptgroup(optgroupCheckbox)
+                    );
+                    optgroupLabel.appendChild(optgroupCheckbox);
+                }
+
+                // Label text for optgroup
+                const optgroupLabelText = document.createElement("span");
+                renderGroupLabel(optgroupLabelText, optgroup);
+                optgroupLabelText.classList.add("tail--optgroup-label");
+                optgroupLabelText.id = `${widgetId}-group-${++groupIdCounter}`;
+                optgroupItem.setAttribute("aria-labelledby", optgroupLabelText.id);
+                optgroupLabel.appendChild(optgroupLabelText);
+
+                optgroupItem.appendChild(optgroupLabel);
+
+                // Nested options list
+                const nestedOptionsList = document.createElement("div");
+
+                // The options belong to the group, the list itself is only a wrapper
+                nestedOptionsList.setAttribute("role", "none");
+                nestedOptionsList.classList.add("tail--nested-dropdown-list");
+                optgroupItem.appendChild(nestedOptionsList);
+
+                addOptgroupControls(optgroupItem, optgroupLabel, optgroup);
+
+                return optgroupItem;
+            }
+
+            // Create the dropdown item for an original <option>
+            function createOptionItem(option) {
+                const optionItem = document.createElement("div");
+                optionItem.classList.add("tail--nested-dropdown-item");
+
+                // Create checkbox for option
+                const optionCheckbox = document.createElement("input");
+                optionCheckbox.type = "checkbox";
+                optionCheckbox.value = option.value;
+                checkboxOptions.set(optionCheckbox, option);
+                optionCheckbox.addEventListener("change", () =>
+                    toggleOption(optionCheckbox)
+                );
+
+                // Create label for option
+                const optionLabel = document.createElement("label");
+
+                // Label for option text, and its description
+                const optionLabelText = document.createElement("span");
+                optionLabelText.classList.add("tail--option-label");
+                if (opts.renderOption) {
+                    renderInto(optionLabelText, opts.renderOption(getOptionData(option), option));
+                } else {
+                    optionLabelText.textContent = option.textContent;
+                    if (option.dataset.description) {
+                        const description = document.createElement("small");
+                        description.textContent = option.dataset.description;
+                        optionLabelText.appendChild(description);
+                    }
+                }
+
+                // Check it
+                if (option.selected && option.hasAttribute('selected')) {
+                    optionCheckbox.checked = true;
+                }
+
+                if (isOptionDisabled(option)) {
+                    optionItem.classList.add("tail--option-disabled");
+                    optionItem.setAttribute("aria-disabled", "true");
+                }
+                optionCheckbox.disabled = isLocked() || isOptionDisabled(option);
+
+                optionLabel.appendChild(optionCheckbox);
+                if (opts.renderOption) {
+                    optionLabel.appendChild(optionLabelText);
+                } else {
+                    optionLabel.append(createOptionMedia(option), optionLabelText, createOptionBadge(option));
+                }
+                optionItem.appendChild(optionLabel);
+                setOptionItemAria(optionItem, optionCheckbox);
+
+                // Remember what the search looks at, and the position to restore after ranking
+                itemSearchData.set(optionItem, getSearchData(option));
+
+                return optionItem;
+            }
+
+            function getSearchData(option) {
+                return {
+                    order: ++itemCounter,
+                    text: option.textContent,
+                    value: option.value,
+                    description: option.dataset.description || "",
+                    keywords: option.dataset.keywords || "",
+                    optgroup: option.parentNode && option.parentNode.tagName === "OPTGROUP" ? option.parentNode.label : "",
+                };
+            }
+
+            function updateOriginalOptionState(
+                originalSelect,
+                checkbox,
+                customDropdown
+            ) {
+                const option = findOriginalOption(checkbox);
+
+                if (option) {
+                    if (isCascading()) {
+                        setTreeSelected(option, checkbox.checked);
+                    } else {
+                        setOptionSelected(option, checkbox.checked);
+                    }
+
+                    // Trigger change event for the original select
+                    dispatchChange();
+                }
+
+                updateSelectionDisplay();
+            }
+
+            // Find the original <option> a rendered checkbox stands for
+            function findOriginalOption(checkbox) {
+                const option = checkboxOptions.get(checkbox);
+                return option && originalSelect.contains(option) ? option : null;
+            }
+
+            function isOptionSelected(checkbox) {
+                const option = findOriginalOption(checkbox);
+                return !!option && option.selected;
+            }
+
+            function getSelectedCount() {
+                return Array.from(originalSelect.options).filter((opt) => opt.selected).length;
+            }
+
+            function isLimitReached() {
+                return originalSelect.multiple && multiLimit !== Infinity && getSelectedCount() >= multiLimit;
+            }
+
+            function getPlaceholder() {
+                // The shown selection takes the place of the placeholder
+                if (selectionElement && !selectionElement.hidden) {
+                    return "";
+                }
+                if (originalSelect.multiple && multiLimit !== Infinity) {
+                    return translate("placeholderMulti", { limit: multiLimit });
+                }
+                return translate("placeholder");
+            }
+
+            // Disable the unchecked options while the selection limit is reached
+            function updateLimitState() {
+                if (!originalSelect.multiple || multiLimit === Infinity) {
+                    return;
+                }
+
+                const reached = isLimitReached();
+                customDropdown.classList.toggle("tail--limit-reached", reached);
+
+                nestedList.querySelectorAll(
+                    '.tail--nested-dropdown-item input[type="checkbox"]'
+                ).forEach((checkbox) => {
+                    const item = checkbox.closest(".tail--nested-dropdown-item");
+
+                    if (isItemDisabled(item)) {
+                        return;
+                    }
+                    if (reached && !checkbox.checked) {
+                        checkbox.disabled = true;
+                        checkbox.dataset.limited = "true";
+                        item.setAttribute("aria-disabled", "true");
+                    } else if (checkbox.dataset.limited) {
+                        checkbox.disabled = isLocked();
+                        delete checkbox.dataset.limited;
+                        item.removeAttribute("aria-disabled");
+                    }
+                });
+
+                if (!nestedList.contains(limitNotice)) {
+                    nestedList.prepend(limitNotice);
+                }
+                limitNotice.style.display = reached ? "" : "none";
+            }
+
+            // Show the message row matching the current state of the list
+            function updateMessage() {
+                if (requestState === "minLength") {
+                    showMessage(requestState, { count: missingCharacters });
+                } else if (requestState) {
+                    showMessage(requestState);
+                } else if (virtual ? !virtual.rows.some((row) => row.option) : !nestedList.querySelector(".tail--nested-dropdown-item")) {
+                    showMessage("empty");
+                } else if (getNavigableItems().length === 0) {
+                    showMessage("emptySearch");
+                } else {
+                    showMessage(null);
+                }
+            }
+
+            // Render (and announce) the message for a string key, or hide the row with null
+            function showMessage(type, args = {}) {
+                // Keep the row below the options, which AJAX results are appended to
+                nestedList.appendChild(messageRow);
+                customDropdown.classList.toggle("tail--loading", type === "loading" || type === "loadingMore");
+
+                const text = type ? translate(type, args) : "";
+                if (type === messageType && messageRow.firstChild && text === messageRow.firstChild.textContent) {
+                    return;
+                }
+                if (messageType) {
+                    messageRow.classList.remove(`tail--message-${messageType}`);
+                }
+                messageType = type;
+
+                if (!type) {
+                    messageRow.style.display = "none";
+                    return;
+                }
+
+                messageRow.classList.add(`tail--message-${type}`);
+                messageRow.textContent = text;
+                messageRow.style.display = "";
+
+                // Failed requests can be repeated; the button has to stay reachable for assistive technology
+                if (type === "error") {
+                    const retryButton = document.createElement("button");
+                    retryButton.type = "button";
+                    retryButton.classList.add("tail--retry");
+                    retryButton.textContent = translate("retry");
+                    retryButton.addEventListener("click", retryLoad);
+                    messageRow.appendChild(document.createTextNode(" "));
+                    messageRow.appendChild(retryButton);
+                    messageRow.removeAttribute("aria-hidden");
+                } else {
+                    messageRow.setAttribute("aria-hidden", "true");
+                }
+
+                announce(text);
+            }
+
+            // Show the suggestion to create an option, unless the search text is empty or already an option
+            function updateCreateRow() {
+                const text = opts.createOptions && !isLocked() ? searchInput.value.trim() : "";
+                createText = text && !findOptionByLabel(text) ? text : "";
+
+                if (!createText) {
+                    createRow.style.display = "none";
+                    createRow.classList.remove("tail--active");
+                    return;
+                }
+                createRow.textContent = translate("create", { value: createText });
+                createRow.style.display = "";
+                nestedList.insertBefore(createRow, nestedList.firstChild);
+            }
+
+            // Duplicates are found by value, or by the label regardless of case
+            function findOptionByLabel(text) {
+                const label = text.toLocaleLowerCase();
+                return Array.from(originalSelect.options).find((option) => (
+                    option.value === text || option.textContent.trim().toLocaleLowerCase() === label
+                )) || null;
+            }
+
+            // Create an option from the search text, after createFilter and createUrl, and select it
+            function createFromSearch() {
+                const text = createText || searchInput.value.trim();
+                if (!text || creating) {
+                    return;
+                }
+                const existing = findOptionByLabel(text);
+                if (existing) {
+                    selectCreatedOption(existing);
+                    return;
+                }
+                if (isLimitReached()) {
+                    announce(translate("limit"));
+                    return;
+                }
+
+                creating = true;
+                Promise.resolve(typeof opts.createFilter === "function" ? opts.createFilter(text) : text)
+                    .then((result) => (result && opts.createUrl ? createRemote(result) : result))
+                    .then((result) => {
+                        if (!result) {
+                            return;
+                        }
+                        const item = normalizeItem(typeof result === "object" ? result : { text: result });
+                        selectCreatedOption(findOptionByLabel(item.value) || findOptionByLabel(item.text) || addCreatedOption(item));
+                    })
+                    .catch((error) => {
+                        if (error.name === 'AbortError') return;
+                        console.error('Error creating option:', error);
+                    })
+                    .finally(() => {
+                        creating = false;
+                        createController = null;
+                    });
+            }
+
+            // Send the new option to createUrl, which answers with the created item
+            function createRemote(result) {
+                const text = typeof result === "object" ? result.text : result;
+                createController = new AbortController();
+                return sendRequest({
+                    url: opts.createUrl,
+                    method: "POST",
+                    headers: { ...resolveOption(opts.ajaxHeaders, text) },
+                    body: toSearchParams({ ...resolveOption(opts.ajaxParams, text), text })
+                }, createController);
+            }
+
+            // Add a created option to the original select, as a selected <option>, and to the list
+            function addCreatedOption(item) {
+                const option = createOption(item);
+                option.defaultSelected = true;
+                originalSelect.appendChild(option);
+                ignoreOwnMutations();
+                if (virtual) {
+                    buildVirtualRows();
+                } else {
+                    nestedList.appendChild(createOptionItem(option));
+                }
+                return option;
+            }
+
+            function selectCreatedOption(option) {
+                if (!option.selected && isLimitReached()) {
+                    announce(translate("limit"));
+                    return;
+                }
+                setOptionSelected(option, true);
+
+                searchInput.value = "";
+                filterOptions(originalSelect, searchInput);
+                updateCreateRow();
+                setActiveItem(null);
+                applySelectionChange();
+                updateMessage();
+
+                if (!originalSelect.multiple) {
+                    closeAfterChoice();
+                }
+            }
+
+            // Mirror the selected state of the original options onto the checkboxes
+            function syncCheckboxes() {
+                nestedList.querySelectorAll(
+                    '.tail--nested-dropdown-item input[type="checkbox"]'
+                ).forEach((checkbox) => {
+                    const option = findOriginalOption(checkbox);
+                    checkbox.checked = !!option && option.selected;
+                });
+            }
+
+            // Bring the widget up to date after the original options were (de)selected directly
+            function applySelectionChange() {
+                if (isCascading()) {
+                    settleTree(false);
+                }
+                syncCheckboxes();
+                updateSelectionDisplay();
+                dispatchChange();
+            }
+
+            // Tell other scripts about a selection change, which the widget itself already shows
+            function dispatchChange() {
+                validityShown = true;
+                updateValidity();
+                dispatchingChange = true;
+                try {
+                    originalSelect.dispatchEvent(new Event("change", { bubbles: true }));
+                } finally {
+                    dispatchingChange = false;
+                }
+            }
+
+            // The label a single select shows in its search input, unless the selection is rendered
+            function getSelectionText() {
+                const option = originalSelect.options[originalSelect.selectedIndex];
+                return option && !isSelectionRendered(option) ? option.textContent : "";
+            }
+
+            function isSelectionRendered(option) {
+                return !!selectionElement && !!option && (!!opts.renderSelection || hasOptionMedia(option));
+            }
+
+            // Render the selected option of a single select in front of the search input
+            function updateSelectionElement(option) {
+                if (!selectionElement) {
+                    return;
+                }
+                selectionElement.textContent = "";
+                if (isSelectionRendered(option)) {
+                    if (opts.renderSelection) {
+                        renderInto(selectionElement, opts.renderSelection(getOptionData(option), option));
+                    } else {
+                        const label = document.createElement("span");
+                        label.textContent = option.textContent;
+                        selectionElement.append(createOptionMedia(option), label, createOptionBadge(option));
+                    }
+                }
+                selectionElement.hidden = !selectionElement.firstChild;
+
+                if (document.activeElement !== searchInput && !originalSelect.disabled) {
+                    searchInput.placeholder = getPlaceholder();
+                }
+            }
+
+            function hasOptionMedia(option) {
+                const { image, icon, color, badge } = option.dataset;
+                return !!(image || icon || color || badge);
+            }
+
+            // The image, icon and color swatch shown in front of the label of an option
+            function createOptionMedia(option) {
+                const fragment = document.createDocumentFragment();
+                const { image, icon, color } = option.dataset;
+
+                if (image) {
+                    const img = document.createElement("img");
+                    img.classList.add("tail--option-image");
+                    img.src = image;
+                    img.alt = "";
+                    fragment.appendChild(img);
+                }
+                if (icon) {
+                    const iconElement = document.createElement("i");
+                    iconElement.classList.add("tail--option-icon", ...icon.split(/\s+/).filter(Boolean));
+                    iconElement.setAttribute("aria-hidden", "true");
+                    fragment.appendChild(iconElement);
+                }
+                if (color) {
+                    const swatch = document.createElement("span");
+                    swatch.classList.add("tail--option-color");
+                    swatch.style.backgroundColor = color;
+                    swatch.setAttribute("aria-hidden", "true");
+                    fragment.appendChild(swatch);
+                }
+                return fragment;
+            }
+
+            // The badge shown after the label of an option
+            function createOptionBadge(option) {
+                const fragment = document.createDocumentFragment();
+                if (option.dataset.badge) {
+                    const badge = document.createElement("span");
+                    badge.classList.add("tail--option-badge");
+                    badge.textContent = option.dataset.badge;
+                    fragment.appendChild(badge);
+                }
+                return fragment;
+            }
+
+            // What the templates get to know about an option: its label, value and state, and its
+            // data-* attributes together with the fields of the AJAX item it came from
+            function getOptionData(option) {
+                return {
+                    value: option.value,
+                    text: option.textContent,
+                    description: option.dataset.description || "",
+                    disabled: isOptionDisabled(option),
+                    selected: option.selected,
+                    data: { ...option.dataset, ...(itemSources.get(option) || {}) },
+                };
+            }
+
+            function renderGroupLabel(element, optgroup) {
+                if (opts.renderGroup) {
+                    renderInto(element, opts.renderGroup({
+                        label: optgroup.label,
+                        disabled: optgroup.disabled,
+                        data: { ...optgroup.dataset, ...(itemSources.get(optgroup) || {}) },
+                    }, optgroup));
+                } else {
+                    element.textContent = optgroup.label;
+                }
+            }
+
+            // Add the output of a template to an element: nodes as they are, strings as HTML, which
+            // the template has to escape (see tail.select.escape())
+            function renderInto(element, content) {
+                if (content instanceof Node) {
+                    element.appendChild(content);
+                } else if (content != null) {
+                    element.insertAdjacentHTML("beforeend", String(content));
+                }
+            }
+
+            // Update the search input, tag list and counter from the original select
+            function updateSelectionDisplay() {
+                // Get all selected options
+                const selectedOptions = Array.from(
+                    originalSelect.options
+                ).filter((opt) => opt.selected);
+
+                // Update the search input value with the selected option text
+                if (!originalSelect.multiple) {
+                    searchInput.value = getSelectionText();
+                    updateSelectionElement(selectedOptions[0]);
+                    updateClearButton();
+                } else if (opts.multiTags) {
+                    // The tags already show the selection, and an empty input lets Backspace remove them
+                    searchInput.value = "";
+                } else {
+                    // Update searchInput value with selected options
+                    searchInput.value = selectedOptions
+                        .map((opt) => opt.textContent)
+                        .join(", ");
+                }
+
+                if (opts.multiTags) {
+                    if (originalSelect.multiple) {
+                        // Update the selected options list
+                        updateSelectedOptionsList(
+                            selectedOptionsList,
+                            selectedOptions
+                        );
+                    }
+                }
+
+                if (opts.multiCounter) {
+                    // Update the counter element
+                    updateCounter(originalSelect);
+                }
+
+                updateTreeNodes();
+                updateOptionItemsAria();
+                updateOptgroupHeaders();
+                updateLimitState();
+                updateValidity();
+
+                let message = translate("selected", { count: selectedOptions.length });
+                if (isLimitReached()) {
+                    message += `. ${translate("limit")}`;
+                }
+                announce(message);
+            }
+
+            function updateOptionItemsAria() {
+                nestedList.querySelectorAll(".tail--nested-dropdown-item").forEach((item) => {
+                    const checkbox = item.querySelector('input[type="checkbox"]');
+                    item.setAttribute("aria-selected", checkbox.checked ? "true" : "false");
+                });
+            }
+
+            // Announce a message through the live region; quick successive calls collapse into the last one
+            function announce(message) {
+                clearTimeout(announceTimer);
+                announceTimer = setTimeout(() => {
+                    liveRegion.textContent = message;
+                }, 150);
+            }
+
+            // Clicking the <label> of the hidden select focuses the widget instead
+            function handleLabelClick(event) {
+                event.preventDefault();
+                searchInput.focus();
+            }
+
+            // Enable or disable the original select together with the custom controls
+            function setDisabled(disabled) {
+                originalSelect.disabled = disabled;
+                customDropdown.classList.toggle("tail--disabled", disabled);
+                customDropdown.setAttribute("aria-disabled", disabled ? "true" : "false");
+                searchInput.disabled = disabled;
+                searchInput.placeholder = disabled ? translate("disabled") : getPlaceholder();
+                updateControlsState();
+
+                if (disabled) {
+                    hideDropdown();
+                }
+            }
+
+            function setReadonly(state) {
+                readonly = state;
+                customDropdown.classList.toggle("tail--readonly", readonly);
+                searchInput.setAttribute("aria-readonly", readonly ? "true" : "false");
+                nestedList.setAttribute("aria-readonly", readonly ? "true" : "false");
+                updateControlsState();
+                updateCreateRow();
+            }
+
+            // A disabled or readonly widget lets the user look, but not change the selection
+            function isLocked() {
+                return originalSelect.disabled || readonly;
+            }
+
+            // Options are also disabled through their optgroup
+            function isOptionDisabled(option) {
+                const parent = option.parentNode;
+                return option.disabled || (!!parent && parent.tagName === "OPTGROUP" && parent.disabled);
+            }
+
+            function isItemDisabled(item) {
+                return item.classList.contains("tail--option-disabled");
+            }
+
+            // Enable the controls that can change the selection, unless they are locked or disabled
+            function updateControlsState() {
+                const locked = isLocked();
+                customDropdown.querySelectorAll(".tail--toolbar input, .tail--toolbar button").forEach((control) => {
+                    control.disabled = locked;
+                });
+                selectedOptionsList.querySelectorAll(".tail--tag").forEach((tag) => {
+                    tag.querySelector("button").disabled = locked || isOptionDisabled(tagOptions.get(tag));
+                });
+                nestedList.querySelectorAll('.tail--nested-dropdown-item input[type="checkbox"]').forEach((checkbox) => {
+                    const item = checkbox.closest(".tail--nested-dropdown-item");
+                    checkbox.disabled = locked || isItemDisabled(item) || !!checkbox.dataset.limited;
+                });
+                nestedList.querySelectorAll('.tail--optgroup > label input[type="checkbox"]').forEach((checkbox) => {
+                    checkbox.disabled = locked || checkbox.closest(".tail--optgroup").classList.contains("tail--optgroup-disabled");
+                });
+                if (clearButton) {
+                    clearButton.disabled = locked;
+                }
+                updateLimitState();
+            }
+
+            function filterOptions(originalSelect, searchInput, query = searchInput.value) {
+                const searchTerm = normalizeSearchText(query.trim()).text;
+                currentSearchTerm = searchTerm;
+
+                if (virtual) {
+                    filterVirtualRows(searchTerm);
+                    return;
+                }
+
+                const optionItems = Array.from(nestedList.querySelectorAll(".tail--nested-dropdown-item"));
+                const scores = new Map();
+
+                optionItems.forEach((optionItem) => {
+                    const optionCheckbox = optionItem.querySelector('input[type="checkbox"]');
+                    const match = searchTerm ? matchOptionItem(optionItem, searchTerm) : null;
+                    const isMatch = !searchTerm || match !== null;
+                    const isChecked = optionCheckbox.checked;
+
+                    if (isChecked || isMatch) {
+                        optionItem.style.display = "";
+                    } else {
+                        optionItem.style.display = "none";
+                    }
+
+                    scores.set(optionItem, match ? match.score : -1);
+                    if (opts.searchMarked) {
+                        highlightLabel(optionItem, match && match.field === "text" ? match.ranges : []);
+                    }
+                });
+
+                if (tree) {
+                    revealTreeAncestors(optionItems);
+                    updateTreeLists();
+                } else {
+                    rankOptionItems(optionItems, scores, searchTerm !== "");
+                }
+
+                // Hide the optgroups without a visible option
+                nestedList.querySelectorAll(".tail--optgroup").forEach((optgroupItem) => {
+                    const hasVisibleItems = Array.from(
+                        optgroupItem.querySelectorAll(".tail--nested-dropdown-item")
+                    ).some((optionItem) => optionItem.style.display !== "none");
+
+                    optgroupItem.style.display = hasVisibleItems ? "" : "none";
+                    updateOptgroupCollapsed(optgroupItem);
+                });
+            }
+
+            function matchOptionItem(optionItem, searchTerm) {
+                const data = itemSearchData.get(optionItem);
+                return data ? matchSearchData(data, searchTerm) : null;
+            }
+
+            // Best match of the search term over the configured fields; labels rank above the other fields
+            function matchSearchData(data, searchTerm) {
+                let best = null;
+                data.normalized = data.normalized || {};
+
+                searchFields.forEach((field) => {
+                    if (!data[field]) {
+                        return;
+                    }
+                    if (!data.normalized[field]) {
+                        data.normalized[field] = normalizeSearchText(data[field]);
+                    }
+
+                    const match = matchText(data.normalized[field], searchTerm);
+                    if (!match) {
+                        return;
+                    }
+
+                    match.field = field;
+                    if (field !== "text") {
+                        match.score -= 500;
+                    }
+                    if (!best || match.score > best.score) {
+                        best = match;
+                    }
+                });
+
+                return best;
+            }
+
+            // Wrap the matched parts of the option label in <mark> elements
+            function highlightLabel(optionItem, ranges) {
+                const data = itemSearchData.get(optionItem);
+                const labelText = optionItem.querySelector(".tail--option-label");
+                if (!data || !labelText || opts.renderOption) {
+                    return;
+                }
+
+                // Replace everything in front of the description
+                while (labelText.firstChild && labelText.firstChild.nodeName !== "SMALL") {
+                    labelText.removeChild(labelText.firstChild);
+                }
+
+                const fragment = document.createDocumentFragment();
+                let position = 0;
+                ranges.forEach(([start, end]) => {
+                    fragment.appendChild(document.createTextNode(data.text.slice(position, start)));
+                    const mark = document.createElement("mark");
+                    mark.textContent = data.text.slice(start, end);
+                    fragment.appendChild(mark);
+                    position = end;
+                });
+                fragment.appendChild(document.createTextNode(data.text.slice(position)));
+
+                labelText.insertBefore(fragment, labelText.firstChild);
+            }
+
+            // Sort the matches by score within their list, or restore the original order
+            function rankOptionItems(optionItems, scores, ranked) {
+                const lists = new Map();
+                optionItems.forEach((optionItem) => {
+                    const list = optionItem.parentElement;
+                    if (!lists.has(list)) {
+                        lists.set(list, []);
+                    }
+                    lists.get(list).push(optionItem);
+                });
+
+                lists.forEach((items, list) => {
+                    const sorted = items.slice().sort((a, b) => {
+                        const byScore = ranked ? scores.get(b) - scores.get(a) : 0;
+                        return byScore || itemSearchData.get(a).order - itemSearchData.get(b).order;
+                    });
+
+                    if (sorted.some((item, index) => item !== items[index])) {
+                        // Re-insert in place, in front of the first node following the items
+                        const anchor = items[items.length - 1].nextSibling;
+                        sorted.forEach((item) => list.insertBefore(item, anchor));
+                    }
+                });
+            }
+
+            function updateSelectedOptionsList(
+                selectedOptionsList,
+                selectedOptions
+            ) {
+                // Clear existing list items
+                selectedOptionsList.innerHTML = "";
+
+                // Create list items for each selected option
+                selectedOptions.forEach((opt) => {
+                    const listItem = document.createElement("li");
+                    listItem.classList.add("tail--tag");
+                    listItem.dataset.value = opt.value;
+                    listItem.tabIndex = -1;
+                    tagOptions.set(listItem, opt);
+
+                    const tagText = document.createElement("span");
+                    if (opts.renderTag) {
+                        renderInto(tagText, opts.renderTag(getOptionData(opt), opt));
+                        listItem.appendChild(tagText);
+                    } else {
+                        tagText.textContent = opt.textContent;
+                        listItem.append(createOptionMedia(opt), tagText, createOptionBadge(opt));
+                    }
+
+                    // Create remove button
+                    const removeButton = document.createElement("button");
+                    removeButton.type = "button";
+                    removeButton.classList.add("tail--tag-remove");
+                    removeButton.tabIndex = -1;
+                    removeButton.disabled = isLocked() || isOptionDisabled(opt);
+                    removeButton.textContent = "\u00d7";
+                    removeButton.setAttribute("aria-label", translate("remove", { label: opt.textContent }));
+                    removeButton.addEventListener("click", () => removeTag(opt));
+                    listItem.appendChild(removeButton);
+
+                    selectedOptionsList.appendChild(listItem);
+                });
+            }
+
+            // Deselect the option behind a tag
+            function removeTag(option) {
+                if (isLocked() || isOptionDisabled(option)) {
+                    return;
+                }
+                if (isCascading()) {
+                    setTreeSelected(option, false);
+                } else {
+                    setOptionSelected(option, false);
+                }
+                applySelectionChange();
+            }
+
+            function focusTag(index) {
+                const tags = selectedOptionsList.querySelectorAll(".tail--tag");
+                if (tags.length === 0) {
+                    searchInput.focus();
+                    return;
+                }
+                tags[Math.min(Math.max(index, 0), tags.length - 1)].focus();
+            }
+
+            // Move between the tags with the arrow keys and remove them with Backspace or Delete
+            function handleTagKeyDown(event) {
+                const tag = event.target.closest(".tail--tag");
+                if (!tag || originalSelect.disabled) {
+                    return;
+                }
+
+                const tags = Array.from(selectedOptionsList.querySelectorAll(".tail--tag"));
+                const index = tags.indexOf(tag);
+
+                switch (event.key) {
+                    case "ArrowLeft":
+                        focusTag(index - 1);
+                        break;
+
+                    case "ArrowRight":
+                        if (index < tags.length - 1) {
+                            focusTag(index + 1);
+                        } else {
+                            searchInput.focus();
+                        }
+                        break;
+
+                    case "Backspace":
+                    case "Delete": {
+                        removeTag(tagOptions.get(tag));
+                        focusTag(event.key === "Backspace" ? index - 1 : index);
+                        break;
+                    }
+
+                    default:
+                        return;
+                }
+
+                event.preventDefault();
+                event.stopPropagation();
+            }
+
+            function updateCustomTextInput(originalSelect) {
+                // Get all selected options
+                const selectedOptions = Array.from(originalSelect.options).filter((opt) => {
+                    // Check if the option is selected and has the 'selected' attribute; tree nodes are
+                    // also selected through their parent
+                    return opt.selected && (opt.hasAttribute('selected') || isCascading());
+                });
+
+
+                // Update the search input value with the selected option text
+                if (!originalSelect.multiple) {
+                    if (selectedOptions.length > 0 && searchInput) {
+                        searchInput.value = isSelectionRendered(selectedOptions[0]) ? "" : selectedOptions[0].textContent;
+                    } else {
+                        searchInput.value = ""; // Clear the search input if no option is selected
+                    }
+                    updateSelectionElement(selectedOptions[0]);
+                    updateClearButton();
+                } else if (opts.multiTags) {
+                    // The tags show the selection
+                    searchInput.value = "";
+                } else {
+                    // Update searchInput value with selected options
+                    searchInput.value = selectedOptions
+                        .map((opt) => opt.textContent)
+                        .join(", ");
+                }
+
+                if (opts.multiTags) {
+                    if (originalSelect.multiple) {
+                        // Update the selected options list
+                        updateSelectedOptionsList(
                             selectedOptionsList,
                             selectedOptions
                         );
@@ -540,25 +2035,291 @@ const tail = {
             }
 
             function updateCounter(originalSelect) {
-                const counterElement = document.querySelector(`.${originalSelect.id} .tail--counter`);
-                if (counterElement) {
+                if (counter) {
                     const count = Array.from(originalSelect.options).filter(option => option.selected).length;
-                    counterElement.textContent = count;
+                    counter.textContent = translate("counter", { count });
+                }
+            }
+
+            function toggleDropdownVisibility() {
+                nestedList.style.display = "block";
+                searchInput.setAttribute("aria-expanded", "true");
+                renderVirtualRows();
+
+                // Without a search yet, the first page can be loaded right away
+                if (ajaxUrl && opts.ajaxLoadOnOpen && loadedQuery === null && !requestState && pendingRequests.size === 0) {
+                    loadData("");
+                }
+            }
+
+            function hideDropdown() {
+                nestedList.style.display = "none";
+                searchInput.setAttribute("aria-expanded", "false");
+
+                setActiveItem(null);
+                navigating = false;
+                typeAhead = "";
+
+                // A single select shows its selection again instead of the search text, and drops the
+                // filter even when the search was ended by choosing an option
+                if (!originalSelect.multiple && (searchInput.value !== getSelectionText() || currentSearchTerm !== "")) {
+                    searchInput.value = getSelectionText();
+                    filterOptions(originalSelect, searchInput, "");
+                    updateCreateRow();
+                    updateMessage();
+                }
+            }
+
+            // Option items the keyboard can currently reach; rows of the data set in virtual mode
+            function getNavigableItems() {
+                if (virtual) {
+                    return virtual.visibleRows.filter((row) => row.option && !isOptionDisabled(row.option));
+                }
+                return Array.from(
+                    nestedList.querySelectorAll(".tail--nested-dropdown-item")
+                ).filter((item) => isItemVisible(item) && !isItemDisabled(item));
+            }
+
+            function isItemVisible(item) {
+                for (let node = item; node && node !== nestedList; node = node.parentElement) {
+                    if (node.style.display === "none") {
+                        return false;
+                    }
+                }
+                return true;
+            }
+
+            // The rendered element of a navigable item
+            function getItemElement(item) {
+                return virtual ? virtual.rendered.get(item) || null : item;
+            }
+
+            // The navigable item a rendered element belongs to
+            function getElementItem(element) {
+                return virtual ? virtual.elementRows.get(element) || null : element;
+            }
+
+            // Highlight the active option and keep it within the visible part of the list
+            function setActiveItem(item) {
+                const previous = activeItem ? getItemElement(activeItem) : null;
+                if (previous) {
+                    previous.classList.remove("tail--active");
+                }
+
+                activeItem = item || null;
+                searchInput.removeAttribute("aria-activedescendant");
+                createRow.classList.toggle("tail--active", !activeItem && !!createText);
+                if (!activeItem && createText) {
+                    searchInput.setAttribute("aria-activedescendant", createRow.id);
+                }
+
+                if (activeItem) {
+                    scrollItemIntoView(activeItem);
+
+                    const element = getItemElement(activeItem);
+                    element.classList.add("tail--active");
+                    searchInput.setAttribute("aria-activedescendant", element.id);
+
+                    // Move the focus along when it is already inside the list
+                    const checkbox = element.querySelector('input[type="checkbox"]');
+                    if (nestedList.contains(document.activeElement) && document.activeElement !== checkbox) {
+                        checkbox.focus();
+                    }
+                }
+            }
+
+            function scrollItemIntoView(item) {
+                const top = virtual ? virtual.rowIndex.get(item) * virtual.rowHeight : item.offsetTop;
+                const bottom = top + (virtual ? virtual.rowHeight : item.offsetHeight);
+
+                if (top < nestedList.scrollTop) {
+                    nestedList.scrollTop = top;
+                } else if (bottom > nestedList.scrollTop + nestedList.clientHeight) {
+                    nestedList.scrollTop = bottom - nestedList.clientHeight;
+                }
+
+                // Render the rows around the new scroll position right away
+                renderVirtualRows();
+            }
+
+            // Number of options that fit into the open list, used by PageUp and PageDown
+            function getPageSize(items) {
+                let itemHeight = items.length > 0 ? items[0].offsetHeight : 0;
+                if (virtual) {
+                    itemHeight = virtual.rowHeight;
+                }
+                if (!itemHeight || !nestedList.clientHeight) {
+                    return 10;
+                }
+                return Math.max(1, Math.floor(nestedList.clientHeight / itemHeight));
+            }
+
+            function moveActiveItem(items, index) {
+                if (items.length === 0) {
+                    return;
                 }
+                navigating = true;
+                setActiveItem(items[Math.min(Math.max(index, 0), items.length - 1)]);
             }
 
-            function toggleDropdownVisibility() {
-                nestedList.style.display = "block";
-                customDropdown.setAttribute("aria-expanded", "true");
-            }
+            function getItemLabel(item) {
+                return virtual ? item.option.textContent : item.querySelector(".tail--option-label").textContent;
+            }
+
+            // Jump to the next option starting with the typed characters
+            function handleTypeAhead(character) {
+                clearTimeout(typeAheadTimer);
+                typeAhead += character.toLowerCase();
+                typeAheadTimer = setTimeout(() => {
+                    typeAhead = "";
+                }, 500);
+
+                const items = getNavigableItems();
+                const start = items.indexOf(activeItem);
+
+                // Repeating a single character cycles through its matches
+                const repeated = typeAhead.split("").every((char) => char === typeAhead[0]);
+                const query = repeated ? typeAhead[0] : typeAhead;
+                const offset = repeated ? 1 : 0;
+                const ordered = items
+                    .slice(start + offset)
+                    .concat(items.slice(0, start + offset));
+
+                const match = ordered.find((item) =>
+                    getItemLabel(item).trim().toLowerCase().startsWith(query)
+                );
+                if (match) {
+                    navigating = true;
+                    setActiveItem(match);
+                }
+            }
+
+            function handleDropdownKeyDown(event) {
+                if (event.ctrlKey || event.metaKey) {
+                    return;
+                }
+
+                const isOpen = nestedList.style.display !== "none";
+                const inList = nestedList.contains(event.target);
+                const items = getNavigableItems();
+                const index = items.indexOf(activeItem);
+
+                // Reach the tags from the start of the search input
+                if (event.target === searchInput && opts.multiTags && originalSelect.multiple) {
+                    const selectedOptions = Array.from(originalSelect.options).filter((opt) => opt.selected);
+                    const atStart = searchInput.selectionStart === 0 && searchInput.selectionEnd === 0;
+
+                    if (event.key === "Backspace" && searchInput.value === "" && selectedOptions.length > 0) {
+                        event.preventDefault();
+                        removeTag(selectedOptions[selectedOptions.length - 1]);
+                        return;
+                    }
+                    if (event.key === "ArrowLeft" && atStart && selectedOptions.length > 0) {
+                        event.preventDefault();
+                        focusTag(selectedOptions.length - 1);
+                        return;
+                    }
+                }
+
+                switch (event.key) {
+                    case "ArrowDown":
+                    case "ArrowUp":
+                        event.preventDefault();
+                        if (!isOpen) {
+                            toggleDropdownVisibility();
+                            return;
+                        }
+                        if (event.altKey) {
+                            return;
+                        }
+                        if (event.key === "ArrowDown") {
+                            moveActiveItem(items, index === -1 ? 0 : index + 1);
+                        } else {
+                            moveActiveItem(items, index === -1 ? items.length - 1 : index - 1);
+                        }
+                        break;
+
+                    case "ArrowRight":
+                    case "ArrowLeft": {
+                        // Expand or collapse the active tree node; in the search input only while navigating
+                        if (!tree || !isOpen || index === -1 || !(navigating || inList)) {
+                            return;
+                        }
+                        const checkbox = getItemElement(items[index]).querySelector('input[type="checkbox"]');
+                        const option = findOriginalOption(checkbox);
+                        if (!option || !tree.children.has(option)) {
+                            return;
+                        }
+                        event.preventDefault();
+                        setTreeCollapsed(option, event.key === "ArrowLeft");
+                        break;
+                    }
+
+                    case "Home":
+                    case "End":
+                        if (!isOpen) {
+                            return;
+                        }
+                        event.preventDefault();
+                        moveActiveItem(items, event.key === "Home" ? 0 : items.length - 1);
+                        break;
+
+                    case "PageDown":
+                    case "PageUp": {
+                        if (!isOpen) {
+                            return;
+                        }
+                        event.preventDefault();
+                        const pageSize = getPageSize(items);
+                        const from = index === -1 ? 0 : index;
+                        moveActiveItem(items, event.key === "PageDown" ? from + pageSize : from - pageSize);
+                        break;
+                    }
 
-            function hideDropdown() {
-                nestedList.style.display = "none";
-                customDropdown.setAttribute("aria-expanded", "false");
+                    case "Enter":
+                        // Repeat a failed search
+                        if (isOpen && index === -1 && requestState === "error") {
+                            event.preventDefault();
+                            retryLoad();
+                            return;
+                        }
+                        // Create an option from the search text
+                        if (index === -1 && createText) {
+                            event.preventDefault();
+                            createFromSearch();
+                            return;
+                        }
+                        if (!isOpen || index === -1) {
+                            return;
+                        }
+                        event.preventDefault();
+                        getItemElement(items[index]).querySelector('input[type="checkbox"]').click();
+                        break;
+
+                    case " ":
+                        // In the search input a space is text, unless the user is moving through the list
+                        if (!isOpen || index === -1 || !(navigating || inList)) {
+                            return;
+                        }
+                        // A focused checkbox toggles itself
+                        if (event.target.type === "checkbox") {
+                            return;
+                        }
+                        event.preventDefault();
+                        getItemElement(items[index]).querySelector('input[type="checkbox"]').click();
+                        break;
+
+                    default:
+                        if (isOpen && inList && !event.altKey && event.key.length === 1) {
+                            event.preventDefault();
+                            handleTypeAhead(event.key);
+                        }
+                }
             }
 
             function handleClickOutside(event) {
-                if (!customDropdown.contains(event.target)) {
+                const onLabel = originalLabel && originalLabel.contains(event.target);
+                if (!customDropdown.contains(event.target) && !onLabel) {
                     hideDropdown();
                 }
             }
@@ -569,8 +2330,45 @@ const tail = {
                 }
             }
 
-            // Show the dropdown when the input field is focused
-            searchInput.addEventListener("focus", toggleDropdownVisibility);
+            // Show the dropdown when the input field is focused, unless the focus returns after a choice
+            searchInput.addEventListener("focus", () => {
+                if (!returningFocus) {
+                    toggleDropdownVisibility();
+                }
+            });
+
+            // Reopen the list with a click, as the input may still have the focus after a choice
+            searchInput.addEventListener("click", () => {
+                if (nestedList.style.display === "none") {
+                    toggleDropdownVisibility();
+                    if (!originalSelect.multiple) {
+                        searchInput.select();
+                    }
+                }
+            });
+
+            // Navigate the options with the keyboard
+            customDropdown.addEventListener("keydown", handleDropdownKeyDown);
+
+            // Follow the focus when the user tabs or clicks into the list
+            nestedList.addEventListener("focusin", (event) => {
+                const element = event.target.closest(".tail--nested-dropdown-item");
+                const item = element ? getElementItem(element) : null;
+                if (item) {
+                    setActiveItem(item);
+                }
+            });
+
+            // Render the rows scrolled into view
+            nestedList.addEventListener("scroll", () => {
+                if (virtual && !virtual.frame) {
+                    virtual.frame = requestAnimationFrame(() => {
+                        virtual.frame = 0;
+                        renderVirtualRows();
+                    });
+                }
+                loadMoreIfNeeded();
+            });
 
             // Hide the dropdown when clicking outside of it
             document.addEventListener("click", handleClickOutside);
@@ -580,76 +2378,992 @@ const tail = {
 
             buildNestedList();
 
+            if (originalSelect.disabled) {
+                setDisabled(true);
+            }
+            if (readonly) {
+                setReadonly(true);
+            }
+
             if (ajaxUrl) {
                 searchInput.addEventListener("input", function() {
-                    loadData(this.value);
+                    scheduleLoad(this.value);
+                });
+                resolveSelected();
+            }
+
+            // Follow the options, the selection and the disabled state of the original select
+            if (opts.observe && typeof MutationObserver !== "undefined") {
+                observer = new MutationObserver(handleMutations);
+                observer.observe(originalSelect, {
+                    childList: true,
+                    subtree: true,
+                    characterData: true,
+                    attributes: true,
+                    attributeFilter: ["disabled", "selected", "label", "value", "data-description", "data-keywords", "data-parent", "data-image", "data-icon", "data-color", "data-badge"]
+                });
+                watchProperty(originalSelect, "value");
+                watchProperty(originalSelect, "selectedIndex");
+            }
+            originalSelect.addEventListener("change", handleOriginalChange);
+
+            // The hidden select can't show its validation message, the search input does instead
+            originalSelect.addEventListener("invalid", handleInvalid);
+            if (form) {
+                form.addEventListener("reset", handleFormReset);
+            }
+            updateValidity();
+
+            // Mirror the validity of the original select onto the search input, which the browser
+            // then reports and focuses when the form is submitted
+            function updateValidity() {
+                const valid = originalSelect.validity.valid;
+                searchInput.setCustomValidity(valid ? "" : originalSelect.validationMessage);
+                customDropdown.classList.toggle("tail--invalid", validityShown && !valid);
+                customDropdown.classList.toggle("tail--valid", validityShown && valid);
+                if (validityShown) {
+                    searchInput.setAttribute("aria-invalid", valid ? "false" : "true");
+                } else {
+                    searchInput.removeAttribute("aria-invalid");
+                }
+            }
+
+            // Keep the browser away from the hidden select; the search input is reported instead
+            function handleInvalid(event) {
+                event.preventDefault();
+                validityShown = true;
+                updateValidity();
+            }
+
+            // The form resets its controls after the event, so the widget follows a moment later
+            function handleFormReset() {
+                clearTimeout(resetTimer);
+                resetTimer = setTimeout(() => {
+                    searchInput.value = "";
+                    filterOptions(originalSelect, searchInput);
+                    validityShown = false;
+                    syncSelection();
+                    updateCreateRow();
+                    updateMessage();
+                }, 0);
+            }
+
+            // Rebuild the list when options were added, removed or changed, sync the rest
+            function handleMutations(records) {
+                let rebuild = false;
+                records.forEach((record) => {
+                    if (record.type === "attributes" && (record.attributeName === "selected" || record.target === originalSelect)) {
+                        return;
+                    }
+                    rebuild = true;
+                });
+
+                if (rebuild) {
+                    refresh();
+                } else {
+                    syncDisabled();
+                    syncSelection();
+                }
+            }
+
+            // Another script changed the selection and told about it
+            function handleOriginalChange() {
+                if (!dispatchingChange) {
+                    syncSelection();
+                }
+            }
+
+            // Rebuild the list from the original select; a search typed into the open list (or, for
+            // search results, any search) is kept
+            function refresh(keepSearch = nestedList.style.display !== "none") {
+                const searchText = searchInput.value;
+                keepSearch = keepSearch && currentSearchTerm !== "";
+
+                setActiveItem(null);
+                nestedList.innerHTML = "";
+                buildNestedList();
+                syncSelection();
+                syncDisabled();
+
+                if (keepSearch) {
+                    searchInput.value = searchText;
+                    filterOptions(originalSelect, searchInput);
+                    updateCreateRow();
+                    updateMessage();
+                }
+                ignoreOwnMutations();
+            }
+
+            function syncSelection() {
+                if (isCascading()) {
+                    settleTree(false);
+                }
+                syncCheckboxes();
+                updateSelectionDisplay();
+            }
+
+            function syncDisabled() {
+                if (customDropdown.classList.contains("tail--disabled") !== originalSelect.disabled) {
+                    setDisabled(originalSelect.disabled);
+                }
+            }
+
+            // Drop the mutation records of the widget's own changes to the original select
+            function ignoreOwnMutations() {
+                if (observer) {
+                    observer.takeRecords();
+                }
+            }
+
+            // Select an option without syncing the change back to the widget
+            function setOptionSelected(option, selected) {
+                ownChanges++;
+                option.selected = selected;
+                ownChanges--;
+            }
+
+            // Sync the widget after the property is set directly, which fires no event or mutation
+            function watchProperty(target, name) {
+                let proto = Object.getPrototypeOf(target);
+                let descriptor = null;
+                while (proto && !descriptor) {
+                    descriptor = Object.getOwnPropertyDescriptor(proto, name);
+                    proto = Object.getPrototypeOf(proto);
+                }
+                if (!descriptor || !descriptor.set) {
+                    return;
+                }
+                Object.defineProperty(target, name, {
+                    configurable: true,
+                    enumerable: descriptor.enumerable,
+                    get() {
+                        return descriptor.get.call(this);
+                    },
+                    set(value) {
+                        descriptor.set.call(this, value);
+                        scheduleSync();
+                    }
+                });
+            }
+
+            function watchOption(option) {
+                if (opts.observe && !watchedOptions.has(option)) {
+                    watchedOptions.add(option);
+                    watchProperty(option, "selected");
+                }
+            }
+
+            // Collect the direct property changes of one task into one sync
+            function scheduleSync() {
+                if (ownChanges || syncQueued || !observer) {
+                    return;
+                }
+                syncQueued = true;
+                Promise.resolve().then(() => {
+                    syncQueued = false;
+                    if (observer) {
+                        syncSelection();
+                    }
                 });
             }
-            function loadData(searchQuery = "", selectedIds = "") {
-                let url = opts.ajaxUrl;
-                if (!url) return;
-                if (searchQuery) {
-                    url += `?term=${encodeURIComponent(searchQuery)}`;
-                    fetch(url)
-                        .then(response => response.json())
-                        .then(data => updateOptions(data.results))
-                        .catch(error => console.error('Error loading data:', error));
+
+            // Search remotely once the user stops typing and the query is long enough
+            function scheduleLoad(searchQuery) {
+                clearTimeout(ajaxTimer);
+                abortRequests();
+
+                const length = searchQuery.trim().length;
+                missingCharacters = Math.max(0, (Number(opts.ajaxMinLength) || 0) - length);
+
+                if (length > 0 && missingCharacters > 0) {
+                    requestState = "minLength";
+                    updateMessage();
+                    return;
+                }
+
+                requestState = null;
+                hasMore = false;
+                updateMessage();
+                if (length > 0 || opts.ajaxLoadOnOpen) {
+                    ajaxTimer = setTimeout(() => loadData(searchQuery), Number(opts.ajaxDelay) || 0);
+                }
+            }
+
+            // Cancel the requests whose results would be stale
+            function abortRequests() {
+                pendingRequests.forEach((controller) => controller.abort());
+                pendingRequests.clear();
+            }
+
+            function retryLoad() {
+                loadData(lastQuery, lastPage);
+            }
+
+            // Load the next page once the open list is scrolled close to its end
+            function loadMoreIfNeeded() {
+                if (!hasMore || requestState || pendingRequests.size > 0 || nestedList.style.display !== "block") {
+                    return;
+                }
+                if (nestedList.scrollTop + nestedList.clientHeight >= nestedList.scrollHeight - nestedList.clientHeight / 2) {
+                    loadData(loadedQuery, currentPage + 1);
+                }
+            }
+
+            // Whether the response says there are more pages
+            function hasMorePages(data, page) {
+                if (typeof opts.ajaxMore === "function") {
+                    return !!opts.ajaxMore(data, page);
+                }
+                return !!data && !!(data.more || data.next || (data.pagination && data.pagination.more));
+            }
+
+            // Build the request for a search, or for the labels of the selected values: the parameters
+            // go into the URL for GET requests and into the form-encoded body otherwise, ajaxRequest
+            // can change the result
+            function buildRequest(searchQuery, page = 1, selectedValues = null) {
+                const method = String(opts.ajaxMethod || "GET").toUpperCase();
+                const params = toSearchParams(selectedValues ? {
+                    ...resolveOption(opts.ajaxParams, searchQuery),
+                    [opts.ajaxSelectedParam]: selectedValues
+                } : {
+                    ...resolveOption(opts.ajaxParams, searchQuery),
+                    [opts.ajaxQueryParam || "term"]: searchQuery,
+                    ...(opts.ajaxPageParam ? { [opts.ajaxPageParam]: page } : {})
+                });
+                const request = {
+                    url: opts.ajaxUrl,
+                    method,
+                    headers: { ...resolveOption(opts.ajaxHeaders, searchQuery) },
+                    body: null
+                };
+
+                if (method === "GET" || method === "HEAD") {
+                    request.url += (request.url.includes("?") ? "&" : "?") + params.toString();
+                } else {
+                    request.body = params;
+                }
+
+                if (typeof opts.ajaxRequest === "function") {
+                    return opts.ajaxRequest(searchQuery, request, page) || request;
                 }
+                return request;
             }
-            function updateOptions(data) {
-                // checkedIds ids from checked options
-                const checkedIds = [];
-                nestedList.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => {
-                    checkedIds.push(parseInt(checkbox.value, 10));
+
+            // Send a built request, resolving with the parsed response
+            function sendRequest(request, controller) {
+                return fetch(request.url, {
+                    method: request.method,
+                    headers: request.headers,
+                    body: request.body || undefined,
+                    signal: controller.signal
+                }).then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
                 });
+            }
+
+            // Fetch the labels of the values selected on init, which can be missing or stale; their
+            // options are kept at the top, where later results leave the checked options
+            function resolveSelected() {
+                const selectedOptions = Array.from(originalSelect.options).filter(option => option.selected && option.value !== "");
+                if (!opts.ajaxSelectedParam || selectedOptions.length === 0) {
+                    return;
+                }
+
+                const request = buildRequest("", null, selectedOptions.map(option => option.value));
+                resolveController = new AbortController();
+                sendRequest(request, resolveController)
+                    .then(data => {
+                        const items = [];
+                        const collect = item => (item.children ? item.children.forEach(collect) : items.push(item));
+                        getResults(data, "").map(normalizeItem).forEach(collect);
+
+                        selectedOptions.slice().reverse().forEach(option => {
+                            const item = items.find(result => result.value === option.value);
+                            if (item) {
+                                option.text = item.text;
+                                setOptionDetails(option, item);
+                            }
+                            if (option.parentNode === originalSelect) {
+                                originalSelect.insertBefore(option, originalSelect.firstChild);
+                            }
+                        });
+                        refresh();
+                    })
+                    .catch(error => {
+                        if (error.name === 'AbortError') return;
+                        console.error('Error loading data:', error);
+                    })
+                    .finally(() => {
+                        resolveController = null;
+                    });
+            }
+
+            // Requests with a body the cache can't tell apart are never cached
+            function getCacheKey(request) {
+                const body = request.body;
+                if (body != null && typeof body !== "string" && !(body instanceof URLSearchParams)) {
+                    return null;
+                }
+                return `${request.method || "GET"} ${request.url} ${body != null ? body.toString() : ""}`;
+            }
+
+            // Map the response to the result items, by default its "results" array
+            function getResults(data, searchQuery) {
+                const results = typeof opts.ajaxResults === "function"
+                    ? opts.ajaxResults(data, searchQuery)
+                    : data && data.results;
+                return Array.isArray(results) ? results : [];
+            }
+
+            // Load a page of results; later pages are appended to the options
+            function loadData(searchQuery = "", page = 1) {
+                if (!opts.ajaxUrl || (!searchQuery && !opts.ajaxLoadOnOpen)) return;
+                lastQuery = searchQuery;
+                lastPage = page;
+                const request = buildRequest(searchQuery, page);
+                const cacheKey = getCacheKey(request);
+
+                // Recent queries are answered from the cache
+                if (cacheKey && ajaxCache.has(cacheKey)) {
+                    const entry = ajaxCache.get(cacheKey);
+                    ajaxCache.delete(cacheKey);
+                    ajaxCache.set(cacheKey, entry);
+                    applyResults(entry, searchQuery, page);
+                    return;
+                }
+
+                abortRequests();
+                const controller = new AbortController();
+                pendingRequests.add(controller);
+                requestState = page > 1 ? "loadingMore" : "loading";
+                updateMessage();
+                sendRequest(request, controller)
+                    .then(data => {
+                        const entry = { results: getResults(data, searchQuery), more: hasMorePages(data, page) };
+                        if (cacheKey) cacheResults(cacheKey, entry);
+                        pendingRequests.delete(controller);
+                        applyResults(entry, searchQuery, page);
+                    })
+                    .catch(error => {
+                        if (error.name === 'AbortError') return;
+                        requestState = "error";
+                        updateMessage();
+                        console.error('Error loading data:', error);
+                    })
+                    .finally(() => pendingRequests.delete(controller));
+            }
+
+            // Show a loaded page, and continue with the next one while the list doesn't fill up
+            function applyResults(entry, searchQuery, page) {
+                requestState = null;
+                loadedQuery = searchQuery;
+                currentPage = page;
+                hasMore = entry.more;
+                updateOptions(entry.results, page > 1);
+                loadMoreIfNeeded();
+            }
+
+            // Keep the results of the most recent queries
+            function cacheResults(cacheKey, entry) {
+                const size = Number(opts.ajaxCache) || 0;
+                if (size <= 0) {
+                    return;
+                }
+                ajaxCache.set(cacheKey, entry);
+                while (ajaxCache.size > size) {
+                    ajaxCache.delete(ajaxCache.keys().next().value);
+                }
+            }
+            // Replace the unselected options with the given items, or append them to the options;
+            // see normalizeItem for their shape
+            function updateOptions(data, append = false) {
+                const items = data.map(normalizeItem);
+                if (virtual) {
+                    updateVirtualOptions(items, append);
+                    return;
+                }
+                if (tree) {
+                    updateTreeOptions(items, append);
+                    return;
+                }
 
                 // delete not checked options
-                nestedList.querySelectorAll('.tail--nested-dropdown-item').forEach(item => {
-                    const checkbox = item.querySelector('input[type="checkbox"]');
-                    if (!checkbox.checked) {
-                        const optionToBeRemoved = Array.from(originalSelect.options).find(option => option.value === checkbox.value);
-                        if (optionToBeRemoved) originalSelect.remove(optionToBeRemoved.index);
-                        item.remove();
+                if (!append) {
+                    nestedList.querySelectorAll('.tail--nested-dropdown-item').forEach(item => {
+                        const checkbox = item.querySelector('input[type="checkbox"]');
+                        if (!checkbox.checked) {
+                            const optionToBeRemoved = findOriginalOption(checkbox);
+                            if (optionToBeRemoved) optionToBeRemoved.remove();
+                            item.remove();
+                        }
+                    });
+                    removeEmptyOptgroups();
+                }
+
+                // values of the remaining options, the checked ones stay in place
+                const existingValues = new Set(Array.from(originalSelect.options).map(option => option.value));
+
+                const addItem = (item, parent, list) => {
+                    if (existingValues.has(item.value)) {
+                        return;
+                    }
+                    existingValues.add(item.value);
+                    // create options from data, and also add them to the original select
+                    const option = createOption(item);
+                    parent.appendChild(option);
+                    list.appendChild(createOptionItem(option));
+                };
+
+                items.forEach(item => {
+                    if (!item.children) {
+                        addItem(item, originalSelect, nestedList);
+                        return;
+                    }
+
+                    // Items with children are added to the optgroup of the same label
+                    const optgroup = getOptgroup(item);
+                    let optgroupItem = Array.from(nestedList.querySelectorAll(".tail--optgroup"))
+                        .find(group => groupOptgroups.get(group) === optgroup);
+                    if (!optgroupItem) {
+                        optgroupItem = createOptgroupItem(optgroup);
+                        nestedList.appendChild(optgroupItem);
+                    }
+                    const list = optgroupItem.querySelector(".tail--nested-dropdown-list");
+                    item.children.forEach(child => addItem(child, optgroup, list));
+                });
+
+                // scroll to the last checked checkbox
+                const checkedItems = nestedList.querySelectorAll('.tail--nested-dropdown-item input[type="checkbox"]:checked');
+                if (!append && checkedItems.length > 0) {
+                    const lastCheckedItem = checkedItems[checkedItems.length - 1].closest(".tail--nested-dropdown-item");
+                    nestedList.scrollTop = lastCheckedItem.clientHeight * (checkedItems.length - 1);
+                }
+
+                updateOptgroupHeaders();
+                updateLimitState();
+                updateCreateRow();
+                updateMessage();
+                ignoreOwnMutations();
+            }
+
+            // Create an option of the original select from a normalized item
+            function createOption(item) {
+                const option = new Option(item.text, item.value, false, false);
+                option.disabled = item.disabled;
+                setOptionDetails(option, item);
+                watchOption(option);
+                return option;
+            }
+
+            // Copy the description, image, icon, color and badge of an item onto its option
+            function setOptionDetails(option, item) {
+                ["description", "image", "icon", "color", "badge"].forEach((field) => {
+                    if (item[field]) {
+                        option.dataset[field] = item[field];
                     }
                 });
+                itemSources.set(option, item.source);
+            }
 
-                data.forEach(item => {
-                    const id = parseInt(item.id, 10);
-                    if (!checkedIds.includes(id)) {
-                        // create options from data
-                        const optionItem = document.createElement("div");
-                        optionItem.classList.add("tail--nested-dropdown-item");
+            // The optgroup of the original select for an item with children, created if needed
+            function getOptgroup(item) {
+                let optgroup = Array.from(originalSelect.getElementsByTagName("optgroup"))
+                    .find(group => group.label === item.text);
+                if (!optgroup) {
+                    optgroup = document.createElement("optgroup");
+                    optgroup.label = item.text;
+                    originalSelect.appendChild(optgroup);
+                }
+                optgroup.disabled = item.disabled;
+                itemSources.set(optgroup, item.source);
+                return optgroup;
+            }
+
+            // Remove the optgroups left without options, in the original select and in the dropdown
+            function removeEmptyOptgroups() {
+                Array.from(originalSelect.getElementsByTagName("optgroup")).forEach(optgroup => {
+                    if (!optgroup.getElementsByTagName("option").length) optgroup.remove();
+                });
+                nestedList.querySelectorAll(".tail--optgroup").forEach(optgroupItem => {
+                    if (!optgroupItem.querySelector(".tail--nested-dropdown-item")) optgroupItem.remove();
+                });
+            }
 
-                        const checkbox = document.createElement("input");
-                        checkbox.type = "checkbox";
-                        checkbox.value = id;
-                        checkbox.addEventListener('change', () => {
-                            toggleOption(checkbox);
+            // Flatten the optgroups and options of the original select into rows
+            function buildVirtualRows() {
+                const rows = [];
+
+                Array.from(originalSelect.children).forEach((child) => {
+                    if (child.tagName === "OPTGROUP") {
+                        const group = { group: child, options: [] };
+                        rows.push(group);
+                        Array.from(child.getElementsByTagName("option")).forEach((option) => {
+                            const row = { option, parent: group, data: getSearchData(option) };
+                            group.options.push(row);
+                            rows.push(row);
                         });
-                        const optionLabel = document.createElement("label");
-                        const optionLabelText = document.createElement("span");
-                        optionLabelText.textContent = item.text;
-
-                        optionLabel.appendChild(checkbox);
-                        optionLabel.appendChild(optionLabelText);
-                        optionItem.appendChild(optionLabel);
-                        nestedList.appendChild(optionItem);
-
-                        const newOption = new Option(item.text, id, false, false);
-                        // also add the option to the original select
-                        originalSelect.add(newOption);
-
-                        // scroll to the last checked checkbox
-                        if (checkedIds.length > 0) {
-                            const lastCheckedCheckbox = nestedList.querySelectorAll('input[type="checkbox"]:checked')[
-                                    nestedList.querySelectorAll('input[type="checkbox"]:checked').length - 1
-                                ].closest(".tail--nested-dropdown-item");
-                            nestedList.scrollTop =  (lastCheckedCheckbox.clientHeight * (checkedIds.length -1 ));
+                    } else if (child.tagName === "OPTION") {
+                        rows.push({ option: child, parent: null, data: getSearchData(child) });
+                    }
+                });
+
+                virtual.rows = rows;
+                virtual.rendered.forEach((element) => element.remove());
+                virtual.rendered.clear();
+
+                if (!nestedList.contains(virtual.sizer)) {
+                    nestedList.appendChild(virtual.sizer);
+                }
+
+                // The search input also shows the selection, so keep the last search instead
+                filterVirtualRows(virtual.searchTerm);
+            }
+
+            // Search the rows; checked options stay visible and the groups follow their options
+            function filterVirtualRows(searchTerm) {
+                virtual.searchTerm = searchTerm;
+                const visibleRows = [];
+                let groupRows = [];
+                let currentGroup = null;
+                virtual.matches.clear();
+
+                const flushGroup = () => {
+                    if (searchTerm) {
+                        groupRows.sort((a, b) =>
+                            (virtual.matches.get(b) ? virtual.matches.get(b).score : -1) -
+                            (virtual.matches.get(a) ? virtual.matches.get(a).score : -1) ||
+                            a.data.order - b.data.order
+                        );
+                    }
+                    if (currentGroup && groupRows.length > 0) {
+                        visibleRows.push(currentGroup);
+                        if (isOptgroupCollapsed(currentGroup.group)) {
+                            groupRows = [];
+                        }
+                    }
+                    visibleRows.push(...groupRows);
+                    groupRows = [];
+                };
+
+                virtual.rows.forEach((row) => {
+                    if (!row.option) {
+                        flushGroup();
+                        currentGroup = row;
+                        return;
+                    }
+                    if (row.parent !== currentGroup) {
+                        flushGroup();
+                        currentGroup = row.parent;
+                    }
+
+                    const match = searchTerm ? matchSearchData(row.data, searchTerm) : null;
+                    if (match) {
+                        virtual.matches.set(row, match);
+                    }
+                    if (!searchTerm || match || row.option.selected) {
+                        groupRows.push(row);
+                    }
+                });
+                flushGroup();
+
+                virtual.visibleRows = visibleRows;
+                virtual.rowIndex = new Map(visibleRows.map((row, index) => [row, index]));
+                virtual.optionCount = 0;
+                visibleRows.forEach((row) => {
+                    if (row.option) {
+                        row.position = ++virtual.optionCount;
+                    }
+                });
+
+                // Start again from the top, with all rows re-rendered for the new highlights
+                virtual.rendered.forEach((element) => element.remove());
+                virtual.rendered.clear();
+                nestedList.scrollTop = 0;
+                renderVirtualRows();
+            }
+
+            // Render the rows in (and a few around) the visible part of the list
+            function renderVirtualRows() {
+                if (!virtual) {
+                    return;
+                }
+
+                const rowHeight = virtual.rowHeight;
+                const rows = virtual.visibleRows;
+                virtual.sizer.style.height = `${rows.length * rowHeight}px`;
+
+                const viewport = nestedList.clientHeight || 200;
+                const start = Math.max(0, Math.floor(nestedList.scrollTop / rowHeight) - 5);
+                const end = Math.min(rows.length, Math.ceil((nestedList.scrollTop + viewport) / rowHeight) + 5);
+
+                const wanted = new Set(rows.slice(start, end));
+                if (activeItem && virtual.rowIndex.has(activeItem)) {
+                    wanted.add(activeItem);
+                }
+
+                virtual.rendered.forEach((element, row) => {
+                    if (!wanted.has(row)) {
+                        element.remove();
+                        virtual.rendered.delete(row);
+                    }
+                });
+
+                wanted.forEach((row) => {
+                    let element = virtual.rendered.get(row);
+                    if (!element) {
+                        element = row.option ? createVirtualOptionRow(row) : createVirtualGroupRow(row);
+                        element.style.height = `${rowHeight}px`;
+                        virtual.rendered.set(row, element);
+                        virtual.elementRows.set(element, row);
+                        virtual.sizer.appendChild(element);
+                    }
+                    element.style.top = `${virtual.rowIndex.get(row) * rowHeight}px`;
+                });
+
+                updateLimitState();
+            }
+
+            function createVirtualOptionRow(row) {
+                const optionItem = createOptionItem(row.option);
+                const checkbox = optionItem.querySelector('input[type="checkbox"]');
+
+                checkbox.checked = row.option.selected;
+                optionItem.setAttribute("aria-selected", checkbox.checked ? "true" : "false");
+                optionItem.setAttribute("aria-setsize", virtual.optionCount);
+                optionItem.setAttribute("aria-posinset", row.position);
+
+                if (row === activeItem) {
+                    optionItem.classList.add("tail--active");
+                    searchInput.setAttribute("aria-activedescendant", optionItem.id);
+                }
+
+                const match = virtual.matches.get(row);
+                if (opts.searchMarked && match && match.field === "text") {
+                    highlightLabel(optionItem, match.ranges);
+                }
+
+                return optionItem;
+            }
+
+            function createVirtualGroupRow(row) {
+                const groupItem = document.createElement("div");
+                groupItem.classList.add("tail--optgroup");
+                groupItem.setAttribute("role", "presentation");
+
+                const groupLabel = document.createElement("label");
+                if (row.group.disabled) {
+                    groupItem.classList.add("tail--optgroup-disabled");
+                }
+
+                if (hasOptgroupCheckbox()) {
+                    const groupCheckbox = document.createElement("input");
+                    groupCheckbox.type = "checkbox";
+                    groupCheckbox.tabIndex = -1;
+                    groupCheckbox.disabled = isLocked() || row.group.disabled;
+                    groupCheckbox.setAttribute("aria-hidden", "true");
+                    groupCheckbox.addEventListener("change", () => {
+                        setRowsSelected(row.options, groupCheckbox.checked);
+                    });
+                    groupLabel.appendChild(groupCheckbox);
+                }
+
+                const groupLabelText = document.createElement("span");
+                renderGroupLabel(groupLabelText, row.group);
+                groupLabelText.classList.add("tail--optgroup-label");
+                groupLabel.appendChild(groupLabelText);
+
+                groupItem.appendChild(groupLabel);
+                addOptgroupControls(groupItem, groupLabel, row.group);
+                return groupItem;
+            }
+
+            // (De)select the options of the given rows at once, within the selection limit
+            function setRowsSelected(rows, selected) {
+                let count = getSelectedCount();
+
+                rows.forEach((row) => {
+                    if (!row.option || row.option.selected === selected || isOptionDisabled(row.option)) {
+                        return;
+                    }
+                    if (selected && originalSelect.multiple && count >= multiLimit) {
+                        return;
+                    }
+                    setOptionSelected(row.option, selected);
+                    count += selected ? 1 : -1;
+                });
+
+                applySelectionChange();
+            }
+
+            // Replace the unselected options with the AJAX results and rebuild the rows
+            function updateVirtualOptions(items, append = false) {
+                if (!append) {
+                    Array.from(originalSelect.options).forEach((option) => {
+                        if (!option.selected) {
+                            option.remove();
                         }
+                    });
+                    removeEmptyOptgroups();
+                }
+
+                const existingValues = new Set(Array.from(originalSelect.options).map((option) => option.value));
+                const addOption = (item, parent) => {
+                    if (!existingValues.has(item.value)) {
+                        existingValues.add(item.value);
+                        parent.appendChild(createOption(item));
+                    }
+                };
+
+                items.forEach((item) => {
+                    if (item.children) {
+                        const optgroup = getOptgroup(item);
+                        item.children.forEach((child) => addOption(child, optgroup));
+                    } else {
+                        addOption(item, originalSelect);
                     }
                 });
+
+                // A further page keeps the list where it was scrolled to
+                const scrollTop = nestedList.scrollTop;
+                buildVirtualRows();
+                if (append) {
+                    nestedList.scrollTop = scrollTop;
+                    renderVirtualRows();
+                }
+                updateLimitState();
+                updateCreateRow();
+                updateMessage();
+                ignoreOwnMutations();
             }
 
+            // Public instance API
+            const instance = {
+                element: originalSelect,
+                container: customDropdown,
+                options: opts,
+
+                // Selected value(s): an array for multiple selects, a string (or null) otherwise
+                getValue() {
+                    const values = Array.from(originalSelect.options)
+                        .filter((opt) => opt.selected)
+                        .map((opt) => opt.value);
+
+                    if (originalSelect.multiple) {
+                        return values;
+                    }
+                    return values.length > 0 ? values[0] : null;
+                },
+
+                // Select the option(s) matching the given value or array of values; returns false
+                // instead of the instance when they exceed the selection limit
+                setValue(values) {
+                    const wanted = [].concat(values == null ? [] : values).map(String);
+
+                    // Reject selections past the limit and keep the current one
+                    const matching = Array.from(originalSelect.options).filter((opt) => wanted.includes(opt.value));
+                    if (originalSelect.multiple && matching.length > multiLimit) {
+                        announce(translate("limit"));
+                        return false;
+                    }
+
+                    Array.from(originalSelect.options).forEach((opt) => {
+                        setOptionSelected(opt, wanted.includes(opt.value));
+                    });
+
+                    // A selected tree node stands for its descendants
+                    if (isCascading()) {
+                        settleTree(true);
+                    }
+                    applySelectionChange();
+                    return instance;
+                },
+
+                open() {
+                    toggleDropdownVisibility();
+                    return instance;
+                },
+
+                close() {
+                    hideDropdown();
+                    return instance;
+                },
+
+                // Pick up the options, selection and disabled state of the original select, which
+                // happens by itself unless the observe option is off
+                refresh() {
+                    refresh();
+                    return instance;
+                },
+
+                // Alias of refresh()
+                reload() {
+                    return instance.refresh();
+                },
+
+                enable() {
+                    setDisabled(false);
+                    return instance;
+                },
+
+                disable() {
+                    setDisabled(true);
+                    return instance;
+                },
+
+                // Constraint validation of the original select, shown on the widget
+                checkValidity() {
+                    return originalSelect.checkValidity();
+                },
+
+                reportValidity() {
+                    validityShown = true;
+                    updateValidity();
+                    return searchInput.reportValidity();
+                },
+
+                setCustomValidity(message) {
+                    originalSelect.setCustomValidity(message);
+                    updateValidity();
+                    return instance;
+                },
+
+                // Show the selection without allowing changes, or allow them again
+                setReadonly(state = true) {
+                    setReadonly(!!state);
+                    return instance;
+                },
+
+                // Replace the unchecked options with a list of {id, text} items, or append them
+                updateOptions(data, append = false) {
+                    updateOptions(data, append);
+                    updateSelectionDisplay();
+                    return instance;
+                },
+
+                // Remove the widget, its listeners and pending requests, and restore the original select
+                destroy() {
+                    document.removeEventListener("click", handleClickOutside);
+                    document.removeEventListener("keydown", handleKeyDown);
+                    originalSelect.removeEventListener("change", handleOriginalChange);
+                    originalSelect.removeEventListener("invalid", handleInvalid);
+                    if (form) {
+                        form.removeEventListener("reset", handleFormReset);
+                    }
+                    clearTimeout(resetTimer);
+                    if (observer) {
+                        observer.disconnect();
+                        observer = null;
+                        delete originalSelect.value;
+                        delete originalSelect.selectedIndex;
+                        Array.from(originalSelect.options).forEach((opt) => delete opt.selected);
+                    }
+
+                    abortRequests();
+                    if (resolveController) resolveController.abort();
+                    if (createController) createController.abort();
+                    clearTimeout(ajaxTimer);
+                    clearTimeout(typeAheadTimer);
+                    clearTimeout(announceTimer);
+                    if (virtual) {
+                        cancelAnimationFrame(virtual.frame);
+                    }
+
+                    if (originalLabel) {
+                        originalLabel.removeEventListener("click", handleLabelClick);
+                        if (!originalLabelId) {
+                            originalLabel.removeAttribute("id");
+                        }
+                    }
+
+                    customDropdown.remove();
+                    selectedOptionsList.remove();
+
+                    Array.from(originalSelect.options).forEach((opt) => {
+                        opt.selected = initialSelection.get(opt) === true;
+                    });
+                    originalSelect.disabled = originalDisabled;
+                    originalSelect.style.display = originalDisplay;
+
+                    tail.select.instances.delete(originalSelect);
+                },
+            };
+
+            tail.select.instances.set(originalSelect, instance);
+            selectInstances.push(instance);
         });
+
+        return selectInstances;
     }
 };
+
+// Instances keyed by their original <select> element
+tail.select.instances = new WeakMap();
+
+// Counter for the unique ids of the generated elements
+tail.select.uid = 0;
+
+// Translatable strings per locale; English is the fallback for missing keys
+tail.select.strings = {
+    en: {
+        all: "All",
+        none: "None",
+        empty: "No options available",
+        emptySearch: "No options found",
+        limit: "You can't select more options",
+        placeholder: "Select an option...",
+        placeholderMulti: "Select up to :limit options...",
+        search: "Type in to search...",
+        disabled: "This field is disabled",
+        remove: "Remove :label",
+        loading: "Loading...",
+        loadingMore: "Loading more results...",
+        create: "Create “:value”",
+        optgroupCounter: ":count/:total",
+        clear: "Clear selection",
+        error: "The options could not be loaded",
+        retry: "Retry",
+        minLength: {
+            one: "Type :count more character",
+            other: "Type :count more characters",
+        },
+        selected: ":count selected",
+        results: {
+            one: ":count result",
+            other: ":count results",
+        },
+        counter: ":count",
+    },
+
+    // Add or extend the strings of a locale, as the langs/ files do
+    register(locale, strings) {
+        if (typeof locale !== "string" || !strings || typeof strings !== "object") {
+            return false;
+        }
+        tail.select.strings[locale] = { ...(tail.select.strings[locale] || {}), ...strings };
+        return true;
+    },
+};
+
+// Expose the global, which the langs/ files look for
+if (typeof window !== "undefined") {
+    window.tail = Object.assign(window.tail || {}, tail);
+}
+
+// Look up the instance created for a <select> element (or a selector matching one)
+tail.select.getInstance = function (element) {
+    if (typeof element === "string") {
+        element = document.querySelector(element);
+    }
+    return tail.select.instances.get(element) || null;
+};
+
+// Escape a value for the HTML strings the render templates return
+tail.select.escape = function (value) {
+    return String(value == null ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+};